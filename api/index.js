@@ -1,4 +1,6 @@
 const app = require('../src/server.js');
+const connectDB = require('../src/config/db');
+const { startJobRunner } = require('../src/services/jobRunner');
 
 // Export the Express app as a Vercel function
 module.exports = (req, res) => {
@@ -15,4 +17,9 @@ if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
   });
+
+  // A long-running server works through the import queue itself
+  connectDB()
+    .then(startJobRunner)
+    .catch(error => console.error('❌ Import worker not started:', error.message));
 }
\ No newline at end of file
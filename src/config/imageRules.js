@@ -0,0 +1,21 @@
+// Accepted image dimensions per resource, in pixels. Every rule set falls
+// back to `default` for the limits it does not name.
+const IMAGE_RULES = {
+  default: { minWidth: 100, minHeight: 100, maxWidth: 8000, maxHeight: 8000 },
+  course: { minWidth: 600, minHeight: 400 },
+  // Topper cards are cropped square, so both sides need the same minimum
+  topper: { minWidth: 300, minHeight: 300 },
+  faculty: { minWidth: 300, minHeight: 300 },
+  achievement: { minWidth: 400, minHeight: 300 },
+  gallery: { minWidth: 400, minHeight: 300 },
+  home: { minWidth: 400, minHeight: 300 }
+};
+
+const getImageRules = (name = 'default') => {
+  if (!IMAGE_RULES[name]) {
+    throw new Error(`Unknown image rule set: ${name}`);
+  }
+  return { ...IMAGE_RULES.default, ...IMAGE_RULES[name] };
+};
+
+module.exports = { IMAGE_RULES, getImageRules };
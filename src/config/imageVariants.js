@@ -0,0 +1,15 @@
+// Named renditions generated for every uploaded image. `crop` follows
+// Cloudinary naming: 'fill' crops to the exact size, 'limit' only shrinks.
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, crop: 'fill' },
+  card: { width: 600, height: 400, crop: 'fill' },
+  hero: { width: 1200, height: 800, crop: 'limit' }
+};
+
+// Modern formats offered next to the original format of each variant
+const VARIANT_FORMATS = ['webp', 'avif'];
+
+module.exports = {
+  IMAGE_VARIANTS,
+  VARIANT_FORMATS
+};
@@ -1,6 +1,19 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Achievement = require('../models/Achievement');
-const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const Topper = require('../models/Topper');
+const { syncImageUsage } = require('../services/imageService');
+const { recordAudit } = require('../services/auditService');
+
+const TOPPER_SUMMARY = 'name slug photo photoMeta exam year rank';
+
+// True when every linked topper exists
+const relatedToppersExist = async (students = []) => {
+  const ids = [...new Set(students.filter(student => student && student.topper).map(student => String(student.topper)))];
+  if (!ids.length) return true;
+  if (!ids.every(id => mongoose.isValidObjectId(id))) return false;
+  return (await Topper.countDocuments({ _id: { $in: ids } })) === ids.length;
+};
 
 // @desc    Get all achievements
 // @route   GET /api/achievements
@@ -21,6 +34,7 @@ const getAchievements = async (req, res) => {
     if (featured !== undefined) query.featured = featured === 'true';
 
     const achievements = await Achievement.find(query)
+      .populate('relatedStudents.topper', TOPPER_SUMMARY)
       .sort({ priority: -1, date: -1, featured: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -49,28 +63,65 @@ const getAchievements = async (req, res) => {
 };
 
 // @desc    Get single achievement
-// @route   GET /api/achievements/:id
+// @route   GET /api/achievements/:id (id or slug)
 // @access  Public
 const getAchievement = async (req, res) => {
   try {
-    const achievement = await Achievement.findById(req.params.id);
-    
-    if (!achievement) {
+    const achievement = await Achievement.resolveForRequest(req, res, {
+      notFoundMessage: 'Achievement not found',
+      populate: ['relatedStudents.topper', TOPPER_SUMMARY]
+    });
+    if (!achievement) return;
+
+    res.json({
+      success: true,
+      data: achievement
+    });
+  } catch (error) {
+    console.error('Get achievement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching achievement'
+    });
+  }
+};
+
+// @desc    Get achievements a topper is linked to
+// @route   GET /api/toppers/:id/achievements
+// @access  Public
+const getTopperAchievements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const topper = await Topper.findById(req.params.id).select('_id');
+    if (!topper) {
       return res.status(404).json({
         success: false,
-        message: 'Achievement not found'
+        message: 'Topper not found'
       });
     }
 
+    const achievements = await Achievement.find({ 'relatedStudents.topper': topper._id, isActive: true })
+      .populate('relatedStudents.topper', TOPPER_SUMMARY)
+      .sort({ priority: -1, date: -1 })
+      .select('-__v');
+
     res.json({
       success: true,
-      data: achievement
+      data: achievements
     });
   } catch (error) {
-    console.error('Get achievement error:', error);
+    console.error('Get topper achievements error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching achievement'
+      message: 'Server error while fetching achievements'
     });
   }
 };
@@ -99,13 +150,17 @@ const createAchievement = async (req, res) => {
         achievementData.relatedStudents = [];
       }
     }
-    
-    // Handle image upload
-    if (req.file) {
-      achievementData.image = req.file.path;
-    }
 
+    if (!(await relatedToppersExist(achievementData.relatedStudents))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more related toppers were not found'
+      });
+    }
+    
     const achievement = await Achievement.create(achievementData);
+    await syncImageUsage(undefined, achievement.image, { resourceType: 'Achievement', resourceId: achievement._id, field: 'image' });
+    await recordAudit(req, { action: 'create', resourceType: 'Achievement', resourceId: achievement._id, after: achievement });
 
     res.status(201).json({
       success: true,
@@ -154,18 +209,11 @@ const updateAchievement = async (req, res) => {
       }
     }
 
-    // Handle image upload
-    if (req.file) {
-      // Delete old image from Cloudinary
-      if (achievement.image) {
-        try {
-          const publicId = extractPublicId(achievement.image);
-          await deleteImage(publicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      updateData.image = req.file.path;
+    if (!(await relatedToppersExist(updateData.relatedStudents))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more related toppers were not found'
+      });
     }
 
     const updatedAchievement = await Achievement.findByIdAndUpdate(
@@ -174,6 +222,10 @@ const updateAchievement = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Release the replaced image only now that the new one is saved
+    await syncImageUsage(achievement.image, updatedAchievement.image, { resourceType: 'Achievement', resourceId: achievement._id, field: 'image' });
+    await recordAudit(req, { action: 'update', resourceType: 'Achievement', resourceId: achievement._id, before: achievement, after: updatedAchievement });
+
     res.json({
       success: true,
       message: 'Achievement updated successfully',
@@ -201,17 +253,9 @@ const deleteAchievement = async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (achievement.image) {
-      try {
-        const publicId = extractPublicId(achievement.image);
-        await deleteImage(publicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
     await Achievement.findByIdAndDelete(req.params.id);
+    await syncImageUsage(achievement.image, undefined, { resourceType: 'Achievement', resourceId: achievement._id, field: 'image' });
+    await recordAudit(req, { action: 'delete', resourceType: 'Achievement', resourceId: achievement._id, before: achievement });
 
     res.json({
       success: true,
@@ -229,6 +273,7 @@ const deleteAchievement = async (req, res) => {
 module.exports = {
   getAchievements,
   getAchievement,
+  getTopperAchievements,
   createAchievement,
   updateAchievement,
   deleteAchievement
@@ -0,0 +1,449 @@
+const { validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { revokeAllSessions } = require('../services/sessionService');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+// Fields an admin manager is allowed to set directly
+const EDITABLE_FIELDS = ['name', 'email', 'role', 'permissions'];
+
+// True when the given admin is the only active super-admin left
+const isLastSuperAdmin = async (admin) => {
+  if (admin.role !== 'super-admin' || !admin.isActive) return false;
+
+  const others = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'super-admin',
+    isActive: true
+  });
+
+  return others === 0;
+};
+
+// Only super-admins may create, edit or remove super-admin accounts
+const canManage = (actor, target, requestedRole) => {
+  if (actor.role === 'super-admin') return true;
+  if (target && target.role === 'super-admin') return false;
+  if (requestedRole === 'super-admin') return false;
+  return true;
+};
+
+// @desc    Get all admins
+// @route   GET /api/admins
+// @access  Private (users)
+const getAdmins = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      role,
+      isActive,
+      search
+    } = req.query;
+
+    const query = {};
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const admins = await Admin.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-password -__v');
+
+    const total = await Admin.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        admins,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching admins'
+    });
+  }
+};
+
+// @desc    Get single admin
+// @route   GET /api/admins/:id
+// @access  Private (users)
+const getAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id).select('-password -__v');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: admin
+    });
+  } catch (error) {
+    console.error('Get admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching admin'
+    });
+  }
+};
+
+// @desc    Create admin
+// @route   POST /api/admins
+// @access  Private (users)
+const createAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!canManage(req.admin, null, req.body.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can create super-admin accounts'
+      });
+    }
+
+    const existing = await Admin.findOne({ email: req.body.email });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An admin with this email already exists'
+      });
+    }
+
+    const adminData = { password: req.body.password };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) adminData[field] = req.body[field];
+    });
+    if (req.body.isActive !== undefined) adminData.isActive = req.body.isActive;
+
+    const admin = await Admin.create(adminData);
+    await recordAudit(req, { action: 'create', resourceType: 'Admin', resourceId: admin._id, after: admin });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: admin
+    });
+  } catch (error) {
+    console.error('Create admin error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating admin'
+    });
+  }
+};
+
+// @desc    Update admin (name, email, role, permissions, optional password)
+// @route   PUT /api/admins/:id
+// @access  Private (users)
+const updateAdmin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!canManage(req.admin, admin, req.body.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can modify super-admin accounts'
+      });
+    }
+
+    const demoting = req.body.role !== undefined && req.body.role !== 'super-admin';
+    if (demoting && await isLastSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote the last active super-admin'
+      });
+    }
+
+    if (req.body.email && req.body.email !== admin.email) {
+      const existing = await Admin.findOne({ email: req.body.email });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'An admin with this email already exists'
+        });
+      }
+    }
+
+    const before = admin.toJSON();
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) admin[field] = req.body[field];
+    });
+
+    // Use save() so the password hook hashes a new password
+    if (req.body.password) admin.password = req.body.password;
+
+    await admin.save();
+
+    if (req.body.password) {
+      await revokeAllSessions(admin._id, 'Password reset by administrator');
+      await recordAudit(req, { action: 'password_reset', resourceType: 'Admin', resourceId: admin._id });
+    }
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before, after: admin });
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: admin
+    });
+  } catch (error) {
+    console.error('Update admin error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating admin'
+    });
+  }
+};
+
+// @desc    Activate or deactivate admin
+// @route   PATCH /api/admins/:id/status
+// @access  Private (users)
+const updateAdminStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!canManage(req.admin, admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can modify super-admin accounts'
+      });
+    }
+
+    const isActive = req.body.isActive;
+
+    if (!isActive) {
+      if (admin._id.equals(req.admin._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+
+      if (await isLastSuperAdmin(admin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate the last active super-admin'
+        });
+      }
+    }
+
+    const before = admin.toJSON();
+    admin.isActive = isActive;
+    await admin.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before, after: admin });
+
+    if (!isActive) {
+      await revokeAllSessions(admin._id, 'Account deactivated');
+    }
+
+    res.json({
+      success: true,
+      message: `Admin ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: admin
+    });
+  } catch (error) {
+    console.error('Update admin status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating admin status'
+    });
+  }
+};
+
+// @desc    Clear failed login attempts and lock
+// @route   PATCH /api/admins/:id/unlock
+// @access  Private (users)
+const unlockAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!canManage(req.admin, admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can modify super-admin accounts'
+      });
+    }
+
+    await admin.updateOne({
+      $unset: { lockUntil: 1 },
+      $set: { loginAttempts: 0 }
+    });
+
+    const unlocked = await Admin.findById(admin._id).select('-password -__v');
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before: admin, after: unlocked });
+
+    res.json({
+      success: true,
+      message: 'Admin unlocked successfully',
+      data: unlocked
+    });
+  } catch (error) {
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking admin'
+    });
+  }
+};
+
+// @desc    Turn off 2FA for an admin who lost their authenticator
+// @route   PATCH /api/admins/:id/reset-2fa
+// @access  Private (super-admin)
+const resetAdminTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const before = admin.toJSON();
+    admin.clearTwoFactor();
+    await admin.save();
+    await revokeAllSessions(admin._id, 'Two-factor authentication reset by administrator');
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before, after: admin });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: admin
+    });
+  } catch (error) {
+    console.error('Reset admin two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting two-factor authentication'
+    });
+  }
+};
+
+// @desc    Delete admin
+// @route   DELETE /api/admins/:id
+// @access  Private (users)
+const deleteAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (!canManage(req.admin, admin)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super-admin can delete super-admin accounts'
+      });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastSuperAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active super-admin'
+      });
+    }
+
+    await Admin.findByIdAndDelete(req.params.id);
+    await Session.deleteMany({ admin: admin._id });
+    await recordAudit(req, { action: 'delete', resourceType: 'Admin', resourceId: admin._id, before: admin });
+
+    res.json({
+      success: true,
+      message: 'Admin deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting admin'
+    });
+  }
+};
+
+module.exports = {
+  getAdmins,
+  getAdmin,
+  createAdmin,
+  updateAdmin,
+  updateAdminStatus,
+  unlockAdmin,
+  resetAdminTwoFactor,
+  deleteAdmin
+};
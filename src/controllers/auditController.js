@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private (super-admin)
+const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      admin,
+      action,
+      resourceType,
+      resourceId,
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (admin) {
+      if (!mongoose.isValidObjectId(admin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid admin id'
+        });
+      }
+      query.admin = admin;
+    }
+    if (resourceId) {
+      if (!mongoose.isValidObjectId(resourceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid resource id'
+        });
+      }
+      query.resourceId = resourceId;
+    }
+    if (action) query.action = action;
+    if (resourceType) query.resourceType = resourceType;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('admin', 'name email role')
+      .select('-__v');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+};
+
+// @desc    Get single audit log entry
+// @route   GET /api/audit/:id
+// @access  Private (super-admin)
+const getAuditLog = async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('admin', 'name email role')
+      .select('-__v');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log entry'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLog
+};
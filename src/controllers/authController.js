@@ -1,11 +1,57 @@
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { validationResult } = require('express-validator');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail } = require('../services/mail/templates');
+const { getSecuritySettings } = require('../services/settingsService');
+const totp = require('../services/totp');
+const { recordAudit } = require('../services/auditService');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://masters-frontend-testing.vercel.app';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Masters Academy';
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa-login';
+
+const adminProfile = (admin) => ({
+  id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  permissions: admin.permissions,
+  twoFactorEnabled: admin.twoFactor.enabled
+});
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const generateTwoFactorChallenge = (adminId) => {
+  return jwt.sign({ id: adminId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Finish a login: clear failed attempts, start a session and respond
+const completeLogin = async (admin, req, res) => {
+  await admin.resetLoginAttempts();
+
+  const tokens = await createSession(admin, req);
+  await recordAudit(req, { action: 'login', resourceType: 'Admin', resourceId: admin._id, admin });
+  const { requireTwoFactor } = await getSecuritySettings();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      ...tokens,
+      twoFactorSetupRequired: requireTwoFactor && !admin.twoFactor.enabled,
+      admin: adminProfile(admin)
+    }
   });
 };
 
@@ -54,32 +100,26 @@ const loginAdmin = async (req, res) => {
     const isPasswordValid = await admin.comparePassword(password);
     if (!isPasswordValid) {
       await admin.incLoginAttempts();
+      await recordAudit(req, { action: 'login_failed', resourceType: 'Admin', resourceId: admin._id, admin });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Reset login attempts on successful login
-    await admin.resetLoginAttempts();
-
-    // Generate token
-    const token = generateToken(admin._id);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          role: admin.role,
-          permissions: admin.permissions
+    // Ask for the second factor before issuing tokens
+    if (admin.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(admin._id)
         }
-      }
-    });
+      });
+    }
+
+    await completeLogin(admin, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -89,6 +129,72 @@ const loginAdmin = async (req, res) => {
   }
 };
 
+// @desc    Complete login with a 2FA or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const loginTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const admin = await Admin.findById(decoded.id);
+    if (!admin || !admin.isActive || !admin.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (admin.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    const method = admin.verifyTwoFactorCode(code);
+    if (!method) {
+      await admin.incLoginAttempts();
+      await recordAudit(req, { action: 'login_failed', resourceType: 'Admin', resourceId: admin._id, admin });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await admin.save();
+    await completeLogin(admin, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
 // @desc    Verify token
 // @route   GET /api/auth/verify
 // @access  Private
@@ -98,13 +204,7 @@ const verifyToken = async (req, res) => {
       success: true,
       message: 'Token is valid',
       data: {
-        admin: {
-          id: req.admin._id,
-          name: req.admin.name,
-          email: req.admin.email,
-          role: req.admin.role,
-          permissions: req.admin.permissions
-        }
+        admin: adminProfile(req.admin)
       }
     });
   } catch (error) {
@@ -146,9 +246,16 @@ const changePassword = async (req, res) => {
     admin.password = newPassword;
     await admin.save();
 
+    await recordAudit(req, { action: 'password_change', resourceType: 'Admin', resourceId: admin._id });
+
+    // Sign out every device, then give this one a fresh session
+    await revokeAllSessions(admin._id, 'Password changed');
+    const tokens = await createSession(admin, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: tokens
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -159,8 +266,493 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Exchange refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session, tokens, error } = await rotateSession(req.body.refreshToken, req);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const admin = await Admin.findById(session.admin);
+    if (!admin || !admin.isActive) {
+      await revokeSession(session._id, 'Account deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+};
+
+// @desc    Logout (revoke the session of a refresh token)
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await revokeRefreshToken(req.body.refreshToken, 'Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.admin._id, 'Logged out everywhere');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Get active sessions of current admin
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      admin: req.admin._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip lastUsedAt expiresAt createdAt');
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke one of the current admin's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, admin: req.admin._id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'Revoked by user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const admin = await Admin.findOne({ email: req.body.email });
+    if (!admin || !admin.isActive) {
+      return res.json(response);
+    }
+
+    const token = admin.createPasswordResetToken();
+    await admin.save();
+
+    const resetUrl = `${FRONTEND_URL}/admin/reset-password?token=${token}`;
+    const expiresInMinutes = Math.round((admin.passwordResetExpires - Date.now()) / 60000);
+
+    try {
+      await sendMail({
+        to: admin.email,
+        ...passwordResetEmail({ name: admin.name, resetUrl, expiresInMinutes })
+      });
+    } catch (mailError) {
+      console.error('Password reset mail error:', mailError);
+      await admin.updateOne({ $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } });
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send password reset email'
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request'
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const admin = await Admin.findByResetToken(token);
+    if (!admin || !admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Consume the token and lift any lockout
+    admin.password = newPassword;
+    admin.passwordResetTokenHash = undefined;
+    admin.passwordResetExpires = undefined;
+    admin.loginAttempts = 0;
+    admin.lockUntil = undefined;
+    await admin.save();
+
+    await revokeAllSessions(admin._id, 'Password reset');
+    await recordAudit(req, { action: 'password_reset', resourceType: 'Admin', resourceId: admin._id, admin });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment (returns secret, otpauth URI and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id);
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    const otpauthUrl = totp.buildOtpauthUrl({
+      secret,
+      accountName: admin.email,
+      issuer: TOTP_ISSUER
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin._id);
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = admin.twoFactor.pendingSecret;
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    // Records the code's time step, so it cannot be replayed at login
+    if (admin.verifyTwoFactorCode(req.body.code, { secret }) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const before = admin.toJSON();
+    admin.twoFactor.secret = secret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before, after: admin });
+
+    // Other devices signed in with the password only
+    await revokeAllSessions(admin._id, 'Two-factor authentication enabled', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { requireTwoFactor } = await getSecuritySettings();
+    if (requireTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for all accounts'
+      });
+    }
+
+    const admin = await Admin.findById(req.admin._id);
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await admin.comparePassword(req.body.password);
+    if (!isPasswordValid || !admin.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    const before = admin.toJSON();
+    admin.clearTwoFactor();
+    await admin.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Admin', resourceId: admin._id, before, after: admin });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Generate new recovery codes (old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.admin._id);
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!admin.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+};
+
 module.exports = {
   loginAdmin,
+  loginTwoFactor,
   verifyToken,
-  changePassword
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
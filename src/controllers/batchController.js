@@ -0,0 +1,239 @@
+const { validationResult } = require('express-validator');
+const Batch = require('../models/Batch');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { ACTIVE_STATUSES } = require('../services/enrollmentService');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+// Fields an admin may set on a batch; seatsTaken is kept by admissions
+const EDITABLE_FIELDS = ['name', 'daysOfWeek', 'startTime', 'endTime', 'startDate', 'endDate', 'capacity', 'isClosed', 'notes'];
+
+// @desc    Get batches of a course
+// @route   GET /api/courses/:id/batches
+// @access  Public
+const getBatches = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id).select('title');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const batches = await Batch.find({ course: course._id })
+      .sort({ startDate: 1, startTime: 1 })
+      .select('-__v');
+
+    // Status is derived, so filter after loading. Closed batches are hidden
+    // unless asked for.
+    const { status } = req.query;
+    const visible = batches.filter(batch => (status ? batch.status === status : batch.status !== 'closed'));
+
+    res.json({
+      success: true,
+      data: visible
+    });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching batches'
+    });
+  }
+};
+
+// @desc    Get single batch
+// @route   GET /api/courses/:id/batches/:batchId
+// @access  Public
+const getBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await Batch.findOne({ _id: req.params.batchId, course: req.params.id }).select('-__v');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching batch'
+    });
+  }
+};
+
+// @desc    Create batch
+// @route   POST /api/courses/:id/batches
+// @access  Private
+const createBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id).select('_id');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const batchData = { course: course._id };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) batchData[field] = req.body[field];
+    });
+
+    const batch = await Batch.create(batchData);
+    await recordAudit(req, { action: 'create', resourceType: 'Batch', resourceId: batch._id, after: batch });
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch created successfully',
+      data: batch
+    });
+  } catch (error) {
+    console.error('Create batch error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating batch'
+    });
+  }
+};
+
+// @desc    Update batch
+// @route   PUT /api/courses/:id/batches/:batchId
+// @access  Private
+const updateBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await Batch.findOne({ _id: req.params.batchId, course: req.params.id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const before = batch.toJSON();
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) batch[field] = req.body[field];
+    });
+
+    // Use save() so the cross-field checks in the model run
+    await batch.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Batch', resourceId: batch._id, before, after: batch });
+
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: batch
+    });
+  } catch (error) {
+    console.error('Update batch error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating batch'
+    });
+  }
+};
+
+// @desc    Delete batch
+// @route   DELETE /api/courses/:id/batches/:batchId
+// @access  Private
+const deleteBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await Batch.findOne({ _id: req.params.batchId, course: req.params.id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const openApplications = await Enrollment.countDocuments({ batch: batch._id, status: { $in: ACTIVE_STATUSES } });
+    if (openApplications > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Batch has ${openApplications} open application(s); close it instead of deleting`
+      });
+    }
+
+    await batch.deleteOne();
+
+    await recordAudit(req, { action: 'delete', resourceType: 'Batch', resourceId: batch._id, before: batch });
+
+    res.json({
+      success: true,
+      message: 'Batch deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting batch'
+    });
+  }
+};
+
+module.exports = {
+  getBatches,
+  getBatch,
+  createBatch,
+  updateBatch,
+  deleteBatch
+};
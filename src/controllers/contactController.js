@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Contact = require('../models/Contact');
+const { recordAudit } = require('../services/auditService');
 
 // @desc    Get all contacts
 // @route   GET /api/contact
@@ -129,6 +130,7 @@ const updateContact = async (req, res) => {
       req.body,
       { new: true, runValidators: true }
     );
+    await recordAudit(req, { action: 'update', resourceType: 'Contact', resourceId: contact._id, before: contact, after: updatedContact });
 
     res.json({
       success: true,
@@ -158,6 +160,7 @@ const deleteContact = async (req, res) => {
     }
 
     await Contact.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'delete', resourceType: 'Contact', resourceId: contact._id, before: contact });
 
     res.json({
       success: true,
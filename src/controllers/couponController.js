@@ -0,0 +1,234 @@
+const { validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+// Fields an admin may set on a coupon; usedCount only changes on redemption
+const EDITABLE_FIELDS = ['code', 'description', 'discountType', 'value', 'maxDiscount', 'courses', 'categories', 'validFrom', 'validUntil', 'earlyBirdDays', 'usageLimit', 'isActive'];
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (courses)
+const getCoupons = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      isActive,
+      course,
+      search
+    } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (course) query.courses = course;
+    if (search) query.code = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+    const coupons = await Coupon.find(query)
+      .populate('courses', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (courses)
+const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('courses', 'title')
+      .select('-__v');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon'
+    });
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (courses)
+const createCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Coupon.findOne({ code: req.body.code });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const couponData = { createdBy: req.admin._id };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) couponData[field] = req.body[field];
+    });
+
+    const coupon = await Coupon.create(couponData);
+    await recordAudit(req, { action: 'create', resourceType: 'Coupon', resourceId: coupon._id, after: coupon });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (courses)
+const updateCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.body.code && req.body.code !== coupon.code) {
+      const existing = await Coupon.findOne({ code: req.body.code });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'A coupon with this code already exists'
+        });
+      }
+    }
+
+    const before = coupon.toJSON();
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    // Use save() so the cross-field checks in the model run
+    await coupon.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Coupon', resourceId: coupon._id, before, after: coupon });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (courses)
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'delete', resourceType: 'Coupon', resourceId: coupon._id, before: coupon });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon'
+    });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
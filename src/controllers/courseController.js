@@ -1,6 +1,39 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Course = require('../models/Course');
-const { deleteImage, extractPublicId, uploadToCloudinary } = require('../config/cloudinary');
+const Batch = require('../models/Batch');
+const Review = require('../models/Review');
+const Faculty = require('../models/Faculty');
+const Topper = require('../models/Topper');
+const Enrollment = require('../models/Enrollment');
+const { syncImageUsage } = require('../services/imageService');
+const { recordAudit } = require('../services/auditService');
+const { withImageVariants } = require('../services/mediaService');
+const { quoteCoursePrice } = require('../services/pricingService');
+const { ACTIVE_STATUSES } = require('../services/enrollmentService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const FACULTY_SUMMARY = 'name slug designation photo photoMeta';
+const FACULTY_DETAIL = 'name slug designation photo photoMeta subjects qualifications experienceYears';
+
+// Faculty ids arrive as a JSON array from FormData or as a plain array
+const parseFacultyIds = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return [value];
+  }
+};
+
+// True when every id names an existing faculty member
+const facultyExists = async (ids) => {
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.every(id => mongoose.isValidObjectId(id))) return false;
+  return (await Faculty.countDocuments({ _id: { $in: unique } })) === unique.length;
+};
 
 // @desc    Get all courses
 // @route   GET /api/courses
@@ -25,12 +58,13 @@ const getCourses = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-__v');
+      .populate('faculty', FACULTY_SUMMARY)
+      .select('-__v -syllabus -feePlans');
     const total = await Course.countDocuments(query);
     res.json({
       success: true,
       data: {
-        courses,
+        courses: await withImageVariants(courses, ['image']),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -48,26 +82,83 @@ const getCourses = async (req, res) => {
 };
 
 // @desc    Get single course
-// @route   GET /api/courses/:id
+// @route   GET /api/courses/:id (id or slug)
 // @access  Public
 const getCourse = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const course = await Course.resolveForRequest(req, res, {
+      notFoundMessage: 'Course not found',
+      populate: ['faculty', FACULTY_DETAIL]
+    });
+    if (!course) return;
+    res.json({
+      success: true,
+      data: await withImageVariants(course, ['image'])
+    });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching course'
+    });
+  }
+};
+
+// @desc    Get the price of a course for an optional coupon and batch
+// @route   GET /api/courses/:id/quote?coupon=CODE&batch=ID
+// @access  Public
+const getCourseQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({ _id: req.params.id, isActive: true })
+      .select('price discountPrice category');
     if (!course) {
       return res.status(404).json({
         success: false,
         message: 'Course not found'
       });
     }
+
+    let batch;
+    if (req.query.batch) {
+      batch = await Batch.findOne({ _id: req.query.batch, course: course._id }).select('startDate');
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found for this course'
+        });
+      }
+    }
+
+    const result = await quoteCoursePrice(course, { couponCode: req.query.coupon, batch });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
     res.json({
       success: true,
-      data: course
+      data: {
+        course: course._id,
+        batch: batch ? batch._id : undefined,
+        ...result.quote
+      }
     });
   } catch (error) {
-    console.error('Get course error:', error);
+    console.error('Get course quote error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching course'
+      message: 'Server error while pricing course'
     });
   }
 };
@@ -92,6 +183,13 @@ const createCourse = async (req, res) => {
     }
 
     const courseData = { ...req.body };
+    // Derived from admitted enrollment applications and approved reviews
+    delete courseData.enrollmentCount;
+    delete courseData.rating;
+    delete courseData.ratingCount;
+    // Managed through the syllabus and fee plan endpoints
+    delete courseData.syllabus;
+    delete courseData.feePlans;
     
     // Parse JSON fields from FormData
     if (courseData.features && typeof courseData.features === 'string') {
@@ -114,49 +212,26 @@ const createCourse = async (req, res) => {
       }
     }
 
-    // FIXED: Handle image upload with memory storage
-    console.log('🖼️ Image upload check - req.file exists:', !!req.file);
-    
-    if (req.file) {
-      console.log('📸 File details:', {
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        buffer: req.file.buffer ? `Buffer of ${req.file.buffer.length} bytes` : 'No buffer'
-      });
-
-      try {
-        // Upload to Cloudinary manually
-        console.log('☁️ Uploading to Cloudinary...');
-        const uploadResult = await uploadToCloudinary(req.file.buffer);
-        console.log('✅ Cloudinary upload result:', uploadResult);
-        
-        if (uploadResult && uploadResult.secure_url) {
-          courseData.image = uploadResult.secure_url;
-          console.log('✅ Image URL set successfully:', courseData.image);
-        } else {
-          throw new Error('Cloudinary upload failed - no URL returned');
-        }
-      } catch (uploadError) {
-        console.error('❌ Cloudinary upload error:', uploadError);
+    if (courseData.faculty !== undefined) {
+      courseData.faculty = parseFacultyIds(courseData.faculty);
+      if (!(await facultyExists(courseData.faculty))) {
         return res.status(400).json({
           success: false,
-          message: `Image upload failed: ${uploadError.message}`
+          message: 'One or more faculty members were not found'
         });
       }
-    } else {
-      console.log('❌ No image file provided in req.file');
-      return res.status(400).json({
-        success: false,
-        message: 'Course image is required'
-      });
     }
 
+    // Image is uploaded by the imageUpload middleware
+    console.log('🖼️ Course image:', courseData.image);
+
     // Create course with image validation
     console.log('📝 Final course data:', courseData);
     const course = await Course.create(courseData);
     
     console.log('✅ Course created successfully:', course._id);
+    await syncImageUsage(undefined, course.image, { resourceType: 'Course', resourceId: course._id, field: 'image' });
+    await recordAudit(req, { action: 'create', resourceType: 'Course', resourceId: course._id, after: course });
 
     res.status(201).json({
       success: true,
@@ -168,12 +243,7 @@ const createCourse = async (req, res) => {
     console.error('❌ Error stack:', error.stack);
     
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message).join(', ');
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: messages
-      });
+      return validationErrorResponse(res, error);
     } else if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -222,6 +292,11 @@ const updateCourse = async (req, res) => {
     }
 
     const updateData = { ...req.body };
+    delete updateData.enrollmentCount;
+    delete updateData.rating;
+    delete updateData.ratingCount;
+    delete updateData.syllabus;
+    delete updateData.feePlans;
     
     console.log('📝 Initial update data:', updateData)
     
@@ -252,53 +327,32 @@ const updateCourse = async (req, res) => {
       }
     }
 
-    // FIXED: Handle image upload with memory storage
-    console.log('🖼️ Image upload check for update - req.file exists:', !!req.file);
-    
-    if (req.file) {
-      console.log('📸 File details for update:', {
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size
-      });
-
-      try {
-        // Upload to Cloudinary manually
-        console.log('☁️ Uploading to Cloudinary...');
-        const uploadResult = await uploadToCloudinary(req.file.buffer);
-        console.log('✅ Cloudinary upload result:', uploadResult);
-        
-        if (uploadResult && uploadResult.secure_url) {
-          // Delete old image from Cloudinary
-          if (course.image) {
-            try {
-              const publicId = extractPublicId(course.image);
-              console.log('🗑️ Deleting old image with publicId:', publicId)
-              await deleteImage(publicId);
-              console.log('✅ Old image deleted successfully')
-            } catch (error) {
-              console.error('❌ Error deleting old image:', error)
-            }
-          }
-          
-          updateData.image = uploadResult.secure_url;
-          console.log('✅ New image URL set:', updateData.image)
-        } else {
-          throw new Error('Cloudinary upload failed - no URL returned');
-        }
-      } catch (uploadError) {
-        console.error('❌ Cloudinary upload error:', uploadError);
+    if (updateData.faculty !== undefined) {
+      updateData.faculty = parseFacultyIds(updateData.faculty);
+      if (!(await facultyExists(updateData.faculty))) {
         return res.status(400).json({
           success: false,
-          message: `Image upload failed: ${uploadError.message}`
+          message: 'One or more faculty members were not found'
         });
       }
-    } else {
-      console.log('ℹ️ No new image file in request for update')
+    }
+
+    // A new image is uploaded by the imageUpload middleware
+    if (!req.uploadedImage && !updateData.hasOwnProperty('image')) {
       // Preserve existing image if no new one and not explicitly removing
-      if (!updateData.hasOwnProperty('image')) {
-        updateData.image = course.image;
-      }
+      updateData.image = course.image;
+    }
+
+    // A stored discount price must not end up above a lowered price
+    const pricingChanged = updateData.price !== undefined || updateData.discountPrice !== undefined;
+    const discountPrice = updateData.discountPrice !== undefined ? updateData.discountPrice : course.discountPrice;
+    if (pricingChanged && discountPrice !== undefined && discountPrice !== null && discountPrice !== '' &&
+        Number(discountPrice) > Number(updateData.price !== undefined ? updateData.price : course.price)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: 'Discount price cannot exceed the price'
+      });
     }
 
     console.log('📤 Final update data:', updateData)
@@ -311,6 +365,10 @@ const updateCourse = async (req, res) => {
 
     console.log('✅ Course updated successfully:', updatedCourse._id)
 
+    // Release the replaced image only now that the new one is saved
+    await syncImageUsage(course.image, updatedCourse.image, { resourceType: 'Course', resourceId: course._id, field: 'image' });
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before: course, after: updatedCourse });
+
     res.json({
       success: true,
       message: 'Course updated successfully',
@@ -319,12 +377,7 @@ const updateCourse = async (req, res) => {
   } catch (error) {
     console.error('❌ Update course error:', error.message, error.stack);
     if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(err => err.message).join(', ');
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: messages
-      });
+      return validationErrorResponse(res, error);
     } else if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -350,16 +403,22 @@ const deleteCourse = async (req, res) => {
         message: 'Course not found'
       });
     }
-    // Delete image from Cloudinary
-    if (course.image) {
-      try {
-        const publicId = extractPublicId(course.image);
-        await deleteImage(publicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
+
+    const openApplications = await Enrollment.countDocuments({ course: course._id, status: { $in: ACTIVE_STATUSES } });
+    if (openApplications > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Course has ${openApplications} open application(s); deactivate it instead of deleting`
+      });
     }
+
     await Course.findByIdAndDelete(req.params.id);
+    await Batch.deleteMany({ course: course._id });
+    await Review.deleteMany({ course: course._id });
+    // Toppers keep the course as a name once it leaves the catalogue
+    await Topper.updateMany({ course: course._id }, { $unset: { course: 1 }, $set: { courseName: course.title } });
+    await syncImageUsage(course.image, undefined, { resourceType: 'Course', resourceId: course._id, field: 'image' });
+    await recordAudit(req, { action: 'delete', resourceType: 'Course', resourceId: course._id, before: course });
     res.json({
       success: true,
       message: 'Course deleted successfully'
@@ -376,6 +435,7 @@ const deleteCourse = async (req, res) => {
 module.exports = {
   getCourses,
   getCourse,
+  getCourseQuote,
   createCourse,
   updateCourse,
   deleteCourse
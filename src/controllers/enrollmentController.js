@@ -0,0 +1,418 @@
+const { validationResult } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const { sendMail } = require('../services/mail');
+const { enrollmentReceivedEmail } = require('../services/mail/templates');
+const { recordAudit } = require('../services/auditService');
+const { quoteCoursePrice, redeemCoupon, releaseCoupon } = require('../services/pricingService');
+const {
+  ACTIVE_STATUSES,
+  changeEnrollmentStatus,
+  releaseEnrollment
+} = require('../services/enrollmentService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const STUDENT_FIELDS = ['name', 'email', 'phone', 'dateOfBirth', 'gender', 'currentClass', 'school', 'address'];
+const GUARDIAN_FIELDS = ['name', 'relation', 'phone', 'email'];
+
+const pick = (source = {}, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+};
+
+// The batch must belong to the course and still take applications
+const findOpenBatch = async (batchId, courseId) => {
+  const batch = await Batch.findOne({ _id: batchId, course: courseId });
+  if (!batch) return { error: 'Batch not found for this course', statusCode: 404 };
+  if (batch.status === 'closed') return { error: 'This batch is closed for admissions', statusCode: 409 };
+  if (batch.status === 'full') return { error: 'This batch is full', statusCode: 409 };
+  return { batch };
+};
+
+// @desc    Submit an enrollment application
+// @route   POST /api/enrollments
+// @access  Public
+const submitEnrollment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({ _id: req.body.course, isActive: true })
+      .select('title price discountPrice category');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    let batch;
+    if (req.body.batch) {
+      const result = await findOpenBatch(req.body.batch, course._id);
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.error
+        });
+      }
+      batch = result.batch;
+    }
+
+    const pricing = await quoteCoursePrice(course, { couponCode: req.body.couponCode, batch });
+    if (pricing.error) {
+      return res.status(pricing.statusCode).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    // One open application per student and course
+    const duplicate = await Enrollment.findOne({
+      course: course._id,
+      'student.email': req.body.student.email,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'An application for this course has already been submitted with this email'
+      });
+    }
+
+    // Hold a coupon use while the application is open, so a limited
+    // coupon cannot be promised to more applicants than it allows
+    const couponId = pricing.coupon ? pricing.coupon._id : undefined;
+    if (couponId && !(await redeemCoupon(couponId))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has reached its usage limit'
+      });
+    }
+
+    const { quote } = pricing;
+    let enrollment;
+    try {
+      enrollment = await Enrollment.create({
+        course: course._id,
+        batch: batch ? batch._id : undefined,
+        student: pick(req.body.student, STUDENT_FIELDS),
+        guardian: pick(req.body.guardian, GUARDIAN_FIELDS),
+        message: req.body.message,
+        pricing: {
+          price: quote.price,
+          courseDiscount: quote.courseDiscount,
+          coupon: couponId,
+          couponCode: quote.coupon ? quote.coupon.code : undefined,
+          couponDiscount: quote.couponDiscount,
+          couponRedeemed: Boolean(couponId),
+          finalPrice: quote.finalPrice
+        },
+        statusHistory: [{ status: 'applied' }]
+      });
+    } catch (error) {
+      if (couponId) await releaseCoupon(couponId);
+      throw error;
+    }
+
+    // The application is saved either way; a failed acknowledgement is only logged
+    try {
+      await sendMail({
+        to: enrollment.student.email,
+        ...enrollmentReceivedEmail({
+          name: enrollment.student.name,
+          courseTitle: course.title,
+          batchName: batch ? batch.name : undefined
+        })
+      });
+    } catch (mailError) {
+      console.error('Enrollment acknowledgement mail error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Application submitted successfully. We will contact you soon!',
+      data: {
+        id: enrollment._id,
+        status: enrollment.status
+      }
+    });
+  } catch (error) {
+    console.error('Submit enrollment error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting application'
+    });
+  }
+};
+
+// @desc    Get all enrollment applications
+// @route   GET /api/enrollments
+// @access  Private (enrollments)
+const getEnrollments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      course,
+      batch,
+      status,
+      search
+    } = req.query;
+
+    const query = {};
+
+    if (course) query.course = course;
+    if (batch) query.batch = batch;
+    if (status) query.status = status;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { 'student.name': pattern },
+        { 'student.email': pattern },
+        { 'student.phone': pattern },
+        { 'guardian.name': pattern }
+      ];
+    }
+
+    const enrollments = await Enrollment.find(query)
+      .populate('course', 'title')
+      .populate('batch', 'name startDate')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Enrollment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        enrollments,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching applications'
+    });
+  }
+};
+
+// @desc    Get single enrollment application
+// @route   GET /api/enrollments/:id
+// @access  Private (enrollments)
+const getEnrollment = async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findById(req.params.id)
+      .populate('course', 'title')
+      .populate('batch', 'name startDate startTime endTime daysOfWeek')
+      .populate('statusHistory.changedBy', 'name email');
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Get enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching application'
+    });
+  }
+};
+
+// @desc    Update applicant details, batch or admin notes
+// @route   PUT /api/enrollments/:id
+// @access  Private (enrollments)
+const updateEnrollment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await Enrollment.findById(req.params.id);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const before = enrollment.toJSON();
+
+    if (req.body.batch !== undefined && String(req.body.batch || '') !== String(enrollment.batch || '')) {
+      // An admitted student holds a seat; withdraw and re-admit to move them
+      if (enrollment.status === 'admitted') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the batch of an admitted application'
+        });
+      }
+
+      if (req.body.batch) {
+        const result = await findOpenBatch(req.body.batch, enrollment.course);
+        if (result.error) {
+          return res.status(result.statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+        enrollment.batch = result.batch._id;
+      } else {
+        enrollment.batch = undefined;
+      }
+    }
+
+    if (req.body.student) enrollment.set('student', { ...enrollment.student.toObject(), ...pick(req.body.student, STUDENT_FIELDS) });
+    if (req.body.guardian) enrollment.set('guardian', { ...enrollment.guardian.toObject(), ...pick(req.body.guardian, GUARDIAN_FIELDS) });
+    if (req.body.adminNotes !== undefined) enrollment.adminNotes = req.body.adminNotes;
+
+    await enrollment.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Enrollment', resourceId: enrollment._id, before, after: enrollment });
+
+    res.json({
+      success: true,
+      message: 'Application updated successfully',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Update enrollment error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating application'
+    });
+  }
+};
+
+// @desc    Move an application through the admission pipeline
+// @route   PATCH /api/enrollments/:id/status
+// @access  Private (enrollments)
+const updateEnrollmentStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const enrollment = await Enrollment.findById(req.params.id);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const before = enrollment.toJSON();
+    const result = await changeEnrollmentStatus(enrollment, req.body.status, {
+      admin: req.admin,
+      note: req.body.note
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await recordAudit(req, { action: 'update', resourceType: 'Enrollment', resourceId: enrollment._id, before, after: enrollment });
+
+    res.json({
+      success: true,
+      message: `Application marked as ${enrollment.status}`,
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Update enrollment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating application status'
+    });
+  }
+};
+
+// @desc    Delete enrollment application
+// @route   DELETE /api/enrollments/:id
+// @access  Private (enrollments)
+const deleteEnrollment = async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findById(req.params.id);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    await Enrollment.findByIdAndDelete(req.params.id);
+    await releaseEnrollment(enrollment);
+    await recordAudit(req, { action: 'delete', resourceType: 'Enrollment', resourceId: enrollment._id, before: enrollment });
+
+    res.json({
+      success: true,
+      message: 'Application deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting application'
+    });
+  }
+};
+
+module.exports = {
+  submitEnrollment,
+  getEnrollments,
+  getEnrollment,
+  updateEnrollment,
+  updateEnrollmentStatus,
+  deleteEnrollment
+};
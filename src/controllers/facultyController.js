@@ -0,0 +1,230 @@
+const { validationResult } = require('express-validator');
+const Faculty = require('../models/Faculty');
+const Course = require('../models/Course');
+const { syncImageUsage } = require('../services/imageService');
+const { recordAudit } = require('../services/auditService');
+const { withImageVariants } = require('../services/mediaService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const LIST_FIELDS = ['subjects', 'qualifications'];
+
+const photoUsage = (member) => ({ resourceType: 'Faculty', resourceId: member._id, field: 'photo' });
+
+// Accept a JSON array, repeated FormData fields or a single value
+const parseList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return [value];
+  }
+};
+
+const facultyData = (body) => {
+  const data = { ...body };
+  LIST_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      data[field] = parseList(data[field]).map(String).map(item => item.trim()).filter(Boolean);
+    }
+  });
+  return data;
+};
+
+// @desc    Get all faculty members
+// @route   GET /api/faculty
+// @access  Public
+const getFacultyMembers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      subject,
+      isActive = true
+    } = req.query;
+
+    const query = { isActive };
+    if (subject) query.subjects = new RegExp(`^${subject.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    const members = await Faculty.find(query)
+      .sort({ displayOrder: 1, name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Faculty.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        faculty: await withImageVariants(members, ['photo']),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get faculty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching faculty'
+    });
+  }
+};
+
+// @desc    Get single faculty member with the courses they teach
+// @route   GET /api/faculty/:id (id or slug)
+// @access  Public
+const getFacultyMember = async (req, res) => {
+  try {
+    const member = await Faculty.resolveForRequest(req, res, {
+      notFoundMessage: 'Faculty member not found'
+    });
+    if (!member) return;
+
+    const courses = await Course.find({ faculty: member._id, isActive: true })
+      .sort({ createdAt: -1 })
+      .select('title slug shortDescription image imageMeta category level duration');
+
+    res.json({
+      success: true,
+      data: {
+        ...(await withImageVariants(member, ['photo'])),
+        courses: await withImageVariants(courses, ['image'])
+      }
+    });
+  } catch (error) {
+    console.error('Get faculty member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching faculty member'
+    });
+  }
+};
+
+// @desc    Create faculty member
+// @route   POST /api/faculty
+// @access  Private
+const createFacultyMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Photo is uploaded by the imageUpload middleware
+    const member = await Faculty.create(facultyData(req.body));
+    await syncImageUsage(undefined, member.photo, photoUsage(member));
+    await recordAudit(req, { action: 'create', resourceType: 'Faculty', resourceId: member._id, after: member });
+
+    res.status(201).json({
+      success: true,
+      message: 'Faculty member created successfully',
+      data: member
+    });
+  } catch (error) {
+    console.error('Create faculty member error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating faculty member'
+    });
+  }
+};
+
+// @desc    Update faculty member
+// @route   PUT /api/faculty/:id
+// @access  Private
+const updateFacultyMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = await Faculty.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Faculty member not found'
+      });
+    }
+
+    // A new photo is uploaded by the imageUpload middleware
+    const updatedMember = await Faculty.findByIdAndUpdate(
+      req.params.id,
+      facultyData(req.body),
+      { new: true, runValidators: true }
+    );
+
+    // Release the replaced photo only now that the new one is saved
+    await syncImageUsage(member.photo, updatedMember.photo, photoUsage(member));
+    await recordAudit(req, { action: 'update', resourceType: 'Faculty', resourceId: member._id, before: member, after: updatedMember });
+
+    res.json({
+      success: true,
+      message: 'Faculty member updated successfully',
+      data: updatedMember
+    });
+  } catch (error) {
+    console.error('Update faculty member error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating faculty member'
+    });
+  }
+};
+
+// @desc    Delete faculty member and unlink them from their courses
+// @route   DELETE /api/faculty/:id
+// @access  Private
+const deleteFacultyMember = async (req, res) => {
+  try {
+    const member = await Faculty.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Faculty member not found'
+      });
+    }
+
+    await Faculty.findByIdAndDelete(req.params.id);
+    await Course.updateMany({ faculty: member._id }, { $pull: { faculty: member._id } });
+    await syncImageUsage(member.photo, undefined, photoUsage(member));
+    await recordAudit(req, { action: 'delete', resourceType: 'Faculty', resourceId: member._id, before: member });
+
+    res.json({
+      success: true,
+      message: 'Faculty member deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete faculty member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting faculty member'
+    });
+  }
+};
+
+module.exports = {
+  getFacultyMembers,
+  getFacultyMember,
+  createFacultyMember,
+  updateFacultyMember,
+  deleteFacultyMember
+};
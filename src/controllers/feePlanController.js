@@ -0,0 +1,231 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const { buildFeeSchedule } = require('../services/feeScheduleService');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const PLAN_FIELDS = ['name', 'type', 'registrationFee', 'instalments', 'lateFee', 'isActive'];
+
+const planData = (body) => {
+  const data = {};
+  PLAN_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.type === 'one-time') data.instalments = [];
+  return data;
+};
+
+// Today at midnight UTC, the default start date for schedules
+const today = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// @desc    Get active fee plans of a course with their instalment schedules
+// @route   GET /api/courses/:id/fee-plans?startDate=YYYY-MM-DD&batch=ID
+// @access  Public
+const getFeePlans = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({ _id: req.params.id, isActive: true })
+      .select('price discountPrice feePlans');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Schedules run from the given date, else the batch start, else today
+    let startDate = req.query.startDate;
+    if (!startDate && req.query.batch) {
+      const batch = await Batch.findOne({ _id: req.query.batch, course: course._id }).select('startDate');
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found for this course'
+        });
+      }
+      startDate = batch.startDate;
+    }
+
+    const plans = course.feePlans
+      .filter(plan => plan.isActive)
+      .map(plan => buildFeeSchedule(course, plan, startDate || today()));
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Get fee plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching fee plans'
+    });
+  }
+};
+
+// @desc    Add a fee plan to a course
+// @route   POST /api/courses/:id/fee-plans
+// @access  Private
+const addFeePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const before = course.toJSON();
+    course.feePlans.push(planData(req.body));
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee plan added successfully',
+      data: course.feePlans[course.feePlans.length - 1]
+    });
+  } catch (error) {
+    console.error('Add fee plan error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding fee plan'
+    });
+  }
+};
+
+// @desc    Update a fee plan; instalments and late fee are replaced when sent
+// @route   PUT /api/courses/:id/fee-plans/:planId
+// @access  Private
+const updateFeePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const plan = course.feePlans.id(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee plan not found'
+      });
+    }
+
+    const before = course.toJSON();
+    plan.set(planData(req.body));
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.json({
+      success: true,
+      message: 'Fee plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    console.error('Update fee plan error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating fee plan'
+    });
+  }
+};
+
+// @desc    Remove a fee plan from a course
+// @route   DELETE /api/courses/:id/fee-plans/:planId
+// @access  Private
+const deleteFeePlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const plan = course.feePlans.id(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee plan not found'
+      });
+    }
+
+    const before = course.toJSON();
+    plan.deleteOne();
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.json({
+      success: true,
+      message: 'Fee plan removed successfully',
+      data: course.feePlans
+    });
+  } catch (error) {
+    console.error('Delete fee plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing fee plan'
+    });
+  }
+};
+
+module.exports = {
+  getFeePlans,
+  addFeePlan,
+  updateFeePlan,
+  deleteFeePlan
+};
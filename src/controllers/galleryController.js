@@ -1,6 +1,30 @@
 const { validationResult } = require('express-validator');
 const Gallery = require('../models/Gallery');
-const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const { syncImageUsage } = require('../services/imageService');
+const ImportJob = require('../models/ImportJob');
+const { recordAudit } = require('../services/auditService');
+const { withImageVariants } = require('../services/mediaService');
+const { queueGalleryImport } = require('../services/galleryImportService');
+const { failStaleImports } = require('../services/importQueue');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+// Album photos are managed through the /photos endpoints only
+const PROTECTED_FIELDS = ['photos', 'coverPhoto'];
+
+const imageUsage = (item) => ({ resourceType: 'Gallery', resourceId: item._id, field: 'image' });
+const photoUsage = (item) => ({ resourceType: 'Gallery', resourceId: item._id, field: 'photos' });
+
+// Accept a JSON array, repeated FormData fields or a single value
+const parseList = (value) => {
+  if (value === undefined) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return [value];
+  }
+};
 
 // @desc    Get all gallery items
 // @route   GET /api/gallery
@@ -31,7 +55,10 @@ const getGalleryItems = async (req, res) => {
     res.json({
       success: true,
       data: {
-        items,
+        items: await withImageVariants(
+          items.map(item => item.toSummary()),
+          ['image', { path: 'cover.url', as: 'variants' }]
+        ),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -49,22 +76,18 @@ const getGalleryItems = async (req, res) => {
 };
 
 // @desc    Get single gallery item
-// @route   GET /api/gallery/:id
+// @route   GET /api/gallery/:id (id or slug)
 // @access  Public
 const getGalleryItem = async (req, res) => {
   try {
-    const item = await Gallery.findById(req.params.id);
-    
-    if (!item) {
-      return res.status(404).json({
-        success: false,
-        message: 'Gallery item not found'
-      });
-    }
+    const item = await Gallery.resolveForRequest(req, res, {
+      notFoundMessage: 'Gallery item not found'
+    });
+    if (!item) return;
 
     res.json({
       success: true,
-      data: item
+      data: await withImageVariants(item, ['image', { path: 'photos.url', as: 'variants' }])
     });
   } catch (error) {
     console.error('Get gallery item error:', error);
@@ -90,6 +113,7 @@ const createGalleryItem = async (req, res) => {
     }
 
     const itemData = req.body;
+    PROTECTED_FIELDS.forEach(field => delete itemData[field]);
     
     // Parse JSON fields from FormData
     if (itemData.tags && typeof itemData.tags === 'string') {
@@ -100,12 +124,9 @@ const createGalleryItem = async (req, res) => {
       }
     }
     
-    // Handle image upload
-    if (req.file) {
-      itemData.image = req.file.path;
-    }
-
     const item = await Gallery.create(itemData);
+    await syncImageUsage(undefined, item.image, imageUsage(item));
+    await recordAudit(req, { action: 'create', resourceType: 'Gallery', resourceId: item._id, after: item });
 
     res.status(201).json({
       success: true,
@@ -144,6 +165,12 @@ const updateGalleryItem = async (req, res) => {
     }
 
     const updateData = req.body;
+    PROTECTED_FIELDS.forEach(field => delete updateData[field]);
+
+    // A newly uploaded cover replaces the album photo chosen as cover
+    if (updateData.image && updateData.image !== item.image) {
+      updateData.coverPhoto = null;
+    }
 
     // Parse JSON fields from FormData
     if (updateData.tags && typeof updateData.tags === 'string') {
@@ -154,26 +181,16 @@ const updateGalleryItem = async (req, res) => {
       }
     }
 
-    // Handle image upload
-    if (req.file) {
-      // Delete old image from Cloudinary
-      if (item.image) {
-        try {
-          const publicId = extractPublicId(item.image);
-          await deleteImage(publicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      updateData.image = req.file.path;
-    }
-
     const updatedItem = await Gallery.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     );
 
+    // Release the replaced image only now that the new one is saved
+    await syncImageUsage(item.image, updatedItem.image, imageUsage(item));
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before: item, after: updatedItem });
+
     res.json({
       success: true,
       message: 'Gallery item updated successfully',
@@ -201,17 +218,12 @@ const deleteGalleryItem = async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (item.image) {
-      try {
-        const publicId = extractPublicId(item.image);
-        await deleteImage(publicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
     await Gallery.findByIdAndDelete(req.params.id);
+    await syncImageUsage(item.image, undefined, imageUsage(item));
+    for (const photo of item.photos) {
+      await syncImageUsage(photo.url, undefined, photoUsage(item));
+    }
+    await recordAudit(req, { action: 'delete', resourceType: 'Gallery', resourceId: item._id, before: item });
 
     res.json({
       success: true,
@@ -226,10 +238,342 @@ const deleteGalleryItem = async (req, res) => {
   }
 };
 
+// @desc    Add photos to a gallery album
+// @route   POST /api/gallery/:id/photos
+// @access  Private
+const addGalleryPhotos = async (req, res) => {
+  try {
+    const item = await Gallery.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gallery item not found'
+      });
+    }
+
+    // Captions and alt texts line up with the uploaded files by position
+    const captions = parseList(req.body.captions);
+    const altTexts = parseList(req.body.altTexts);
+
+    const before = item.toJSON();
+    const added = req.uploadedImages.map((asset, index) => item.photos.create({
+      url: asset.url,
+      meta: req.uploadedMediaItems[index].placeholder,
+      caption: captions[index],
+      altText: altTexts[index] || captions[index] || item.title
+    }));
+    item.photos.push(...added);
+    await item.save();
+
+    for (const photo of added) {
+      await syncImageUsage(undefined, photo.url, photoUsage(item));
+    }
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before, after: item });
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} photo(s) added successfully`,
+      data: item
+    });
+  } catch (error) {
+    console.error('Add gallery photos error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding gallery photos'
+    });
+  }
+};
+
+// @desc    Update a photo's caption or alt text
+// @route   PUT /api/gallery/:id/photos/:photoId
+// @access  Private
+const updateGalleryPhoto = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Gallery.findById(req.params.id);
+    const photo = item && item.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gallery photo not found'
+      });
+    }
+
+    const before = item.toJSON();
+    if (req.body.caption !== undefined) photo.caption = req.body.caption;
+    if (req.body.altText !== undefined) photo.altText = req.body.altText;
+
+    await item.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before, after: item });
+
+    res.json({
+      success: true,
+      message: 'Gallery photo updated successfully',
+      data: photo
+    });
+  } catch (error) {
+    console.error('Update gallery photo error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating gallery photo'
+    });
+  }
+};
+
+// @desc    Reorder the photos of an album
+// @route   PATCH /api/gallery/:id/photos/order
+// @access  Private
+const reorderGalleryPhotos = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Gallery.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gallery item not found'
+      });
+    }
+
+    // The new order must name every photo exactly once
+    const { photoIds } = req.body;
+    const reordered = photoIds.map(id => item.photos.id(id));
+    if (
+      photoIds.length !== item.photos.length ||
+      new Set(photoIds).size !== photoIds.length ||
+      reordered.includes(null)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'photoIds must list every photo of the album exactly once'
+      });
+    }
+
+    const before = item.toJSON();
+    item.photos = reordered.map(photo => photo.toObject());
+    await item.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before, after: item });
+
+    res.json({
+      success: true,
+      message: 'Gallery photos reordered successfully',
+      data: item
+    });
+  } catch (error) {
+    console.error('Reorder gallery photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering gallery photos'
+    });
+  }
+};
+
+// @desc    Remove a photo from an album
+// @route   DELETE /api/gallery/:id/photos/:photoId
+// @access  Private
+const deleteGalleryPhoto = async (req, res) => {
+  try {
+    const item = await Gallery.findById(req.params.id);
+    const photo = item && item.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gallery photo not found'
+      });
+    }
+
+    const before = item.toJSON();
+    const previousImage = item.image;
+    photo.deleteOne();
+
+    // Removing the cover promotes the next photo. The last photo stays as
+    // the item's image, since every gallery item needs one.
+    if (item.coverPhoto && item.coverPhoto.equals(photo._id)) {
+      if (item.photos.length > 0) {
+        item.setCover(item.photos[0]);
+      } else {
+        item.coverPhoto = undefined;
+      }
+    }
+
+    await item.save();
+
+    await syncImageUsage(previousImage, item.image, imageUsage(item));
+    await syncImageUsage(photo.url, undefined, photoUsage(item));
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before, after: item });
+
+    res.json({
+      success: true,
+      message: 'Gallery photo removed successfully',
+      data: item
+    });
+  } catch (error) {
+    console.error('Delete gallery photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing gallery photo'
+    });
+  }
+};
+
+// @desc    Choose the album photo used as cover
+// @route   PATCH /api/gallery/:id/cover
+// @access  Private
+const setGalleryCover = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Gallery.findById(req.params.id);
+    const photo = item && item.photos.id(req.body.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gallery photo not found'
+      });
+    }
+
+    const before = item.toJSON();
+    item.setCover(photo);
+    await item.save();
+
+    await syncImageUsage(before.image, item.image, imageUsage(item));
+    await recordAudit(req, { action: 'update', resourceType: 'Gallery', resourceId: item._id, before, after: item });
+
+    res.json({
+      success: true,
+      message: 'Gallery cover updated successfully',
+      data: item
+    });
+  } catch (error) {
+    console.error('Set gallery cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating gallery cover'
+    });
+  }
+};
+
+// @desc    Queue a bulk import of gallery photos from a ZIP archive; poll
+//          GET /api/gallery/import/:jobId for progress and the report
+// @route   POST /api/gallery/import
+// @access  Private
+const importGalleryArchive = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Defaults apply to every file the manifest says nothing about; in album
+    // mode they describe the album itself
+    const { mode = 'items', title, description, category, date } = req.body;
+    const tags = parseList(req.body.tags).map(String).filter(Boolean);
+
+    const job = await queueGalleryImport({
+      archive: req.file,
+      options: {
+        mode,
+        defaults: { title, description, category, date, tags: tags.length ? tags : undefined }
+      }
+    }, req.admin);
+
+    res.status(202).json({
+      success: true,
+      message: 'Gallery import queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
+  } catch (error) {
+    console.error('Queue gallery import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queuing gallery import'
+    });
+  }
+};
+
+// @desc    Get the progress and per-file report of a gallery import
+// @route   GET /api/gallery/import/:jobId
+// @access  Private
+const getGalleryImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await failStaleImports();
+    const job = await ImportJob.findOne({ _id: req.params.jobId, type: 'gallery' }).select('-__v');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get gallery import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import job'
+    });
+  }
+};
+
 module.exports = {
   getGalleryItems,
   getGalleryItem,
   createGalleryItem,
   updateGalleryItem,
-  deleteGalleryItem
+  deleteGalleryItem,
+  addGalleryPhotos,
+  updateGalleryPhoto,
+  reorderGalleryPhotos,
+  deleteGalleryPhoto,
+  setGalleryCover,
+  importGalleryArchive,
+  getGalleryImport
 };
\ No newline at end of file
@@ -1,6 +1,22 @@
 const { validationResult } = require('express-validator');
 const Home = require('../models/Home');
-const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const { syncImageUsage } = require('../services/imageService');
+const { recordAudit } = require('../services/auditService');
+const { withImageVariants, placeholderForUrl } = require('../services/mediaService');
+
+const HOME_IMAGE_PATHS = ['image', 'testimonials.image'];
+
+// Testimonial images are media library URLs; store their placeholder data
+// next to them, ignoring whatever the client sent
+const attachTestimonialMeta = async (testimonials) => {
+  if (!Array.isArray(testimonials)) return;
+
+  for (const testimonial of testimonials) {
+    if (testimonial && typeof testimonial === 'object') {
+      testimonial.imageMeta = await placeholderForUrl(testimonial.image);
+    }
+  }
+};
 
 // @desc    Get all home sections
 // @route   GET /api/home
@@ -18,7 +34,7 @@ const getHomeSections = async (req, res) => {
 
     res.json({
       success: true,
-      data: sections
+      data: await withImageVariants(sections, HOME_IMAGE_PATHS)
     });
   } catch (error) {
     console.error('Get home sections error:', error);
@@ -45,7 +61,7 @@ const getHomeSection = async (req, res) => {
 
     res.json({
       success: true,
-      data: section
+      data: await withImageVariants(section, HOME_IMAGE_PATHS)
     });
   } catch (error) {
     console.error('Get home section error:', error);
@@ -92,6 +108,7 @@ const createHomeSection = async (req, res) => {
           updateData.testimonials = [];
         }
       }
+      await attachTestimonialMeta(updateData.testimonials);
       
       if (updateData.announcements && typeof updateData.announcements === 'string') {
         try {
@@ -101,26 +118,16 @@ const createHomeSection = async (req, res) => {
         }
       }
 
-      // Handle image upload
-      if (req.file) {
-        // Delete old image from Cloudinary
-        if (existingSection.image) {
-          try {
-            const publicId = extractPublicId(existingSection.image);
-            await deleteImage(publicId);
-          } catch (error) {
-            console.error('Error deleting old image:', error);
-          }
-        }
-        updateData.image = req.file.path;
-      }
-
       const updatedSection = await Home.findOneAndUpdate(
         { section: req.body.section },
         updateData,
         { new: true, runValidators: true }
       );
 
+      // Release the replaced image only now that the new one is saved
+      await syncImageUsage(existingSection.image, updatedSection.image, { resourceType: 'Home', resourceId: existingSection._id, field: 'image' });
+      await recordAudit(req, { action: 'update', resourceType: 'Home', resourceId: existingSection._id, before: existingSection, after: updatedSection });
+
       return res.json({
         success: true,
         message: 'Home section updated successfully',
@@ -146,6 +153,7 @@ const createHomeSection = async (req, res) => {
         sectionData.testimonials = [];
       }
     }
+    await attachTestimonialMeta(sectionData.testimonials);
     
     if (sectionData.announcements && typeof sectionData.announcements === 'string') {
       try {
@@ -155,12 +163,9 @@ const createHomeSection = async (req, res) => {
       }
     }
     
-    // Handle image upload
-    if (req.file) {
-      sectionData.image = req.file.path;
-    }
-
     const section = await Home.create(sectionData);
+    await syncImageUsage(undefined, section.image, { resourceType: 'Home', resourceId: section._id, field: 'image' });
+    await recordAudit(req, { action: 'create', resourceType: 'Home', resourceId: section._id, after: section });
 
     res.status(201).json({
       success: true,
@@ -216,6 +221,7 @@ const updateHomeSection = async (req, res) => {
         updateData.testimonials = [];
       }
     }
+    await attachTestimonialMeta(updateData.testimonials);
     
     if (updateData.announcements && typeof updateData.announcements === 'string') {
       try {
@@ -225,26 +231,16 @@ const updateHomeSection = async (req, res) => {
       }
     }
 
-    // Handle image upload
-    if (req.file) {
-      // Delete old image from Cloudinary
-      if (section.image) {
-        try {
-          const publicId = extractPublicId(section.image);
-          await deleteImage(publicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      updateData.image = req.file.path;
-    }
-
     const updatedSection = await Home.findOneAndUpdate(
       { section: req.params.section },
       updateData,
       { new: true, runValidators: true }
     );
 
+    // Release the replaced image only now that the new one is saved
+    await syncImageUsage(section.image, updatedSection.image, { resourceType: 'Home', resourceId: section._id, field: 'image' });
+    await recordAudit(req, { action: 'update', resourceType: 'Home', resourceId: section._id, before: section, after: updatedSection });
+
     res.json({
       success: true,
       message: 'Home section updated successfully',
@@ -272,17 +268,9 @@ const deleteHomeSection = async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (section.image) {
-      try {
-        const publicId = extractPublicId(section.image);
-        await deleteImage(publicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
     await Home.findOneAndDelete({ section: req.params.section });
+    await syncImageUsage(section.image, undefined, { resourceType: 'Home', resourceId: section._id, field: 'image' });
+    await recordAudit(req, { action: 'delete', resourceType: 'Home', resourceId: section._id, before: section });
 
     res.json({
       success: true,
@@ -0,0 +1,278 @@
+const { validationResult } = require('express-validator');
+const Media = require('../models/Media');
+const { removeStoredImage } = require('../services/imageService');
+const { findOrphanedMedia, purgeOrphanedMedia } = require('../services/mediaGarbageCollector');
+const { recordAudit } = require('../services/auditService');
+
+// @desc    Browse and search the media library
+// @route   GET /api/media
+// @access  Private
+const getMediaItems = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 24,
+      search,
+      format,
+      source,
+      resourceType,
+      unused
+    } = req.query;
+
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ originalName: pattern }, { altText: pattern }, { publicId: pattern }];
+    }
+    if (format) query.format = format;
+    if (source) query.source = source;
+    if (resourceType) query['usages.resourceType'] = resourceType;
+    if (unused === 'true') query.usages = { $size: 0 };
+
+    const media = await Media.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('uploadedBy', 'name email')
+      .select('-__v');
+
+    const total = await Media.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        media,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching media'
+    });
+  }
+};
+
+// @desc    Get single media item
+// @route   GET /api/media/:id
+// @access  Private
+const getMediaItem = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id)
+      .populate('uploadedBy', 'name email')
+      .select('-__v');
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: media
+    });
+  } catch (error) {
+    console.error('Get media item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching media'
+    });
+  }
+};
+
+// @desc    Upload an asset to the media library
+// @route   POST /api/media
+// @access  Private (media)
+const uploadMedia = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // File was stored and recorded by the imageUpload middleware
+    await recordAudit(req, { action: 'create', resourceType: 'Media', resourceId: req.uploadedMedia._id, after: req.uploadedMedia });
+
+    res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      data: req.uploadedMedia
+    });
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading media'
+    });
+  }
+};
+
+// @desc    Update media metadata
+// @route   PUT /api/media/:id
+// @access  Private (media)
+const updateMedia = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    const before = media.toJSON();
+    if (req.body.altText !== undefined) media.altText = req.body.altText;
+    // Keep an edited asset in the library even once no document uses it
+    media.source = 'library';
+    await media.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Media', resourceId: media._id, before, after: media });
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully',
+      data: media
+    });
+  } catch (error) {
+    console.error('Update media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating media'
+    });
+  }
+};
+
+// @desc    Delete media from library and storage
+// @route   DELETE /api/media/:id
+// @access  Private (media)
+const deleteMedia = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (media.usages.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Media is still in use',
+        data: {
+          usages: media.usages
+        }
+      });
+    }
+
+    await removeStoredImage(media.url);
+    await recordAudit(req, { action: 'delete', resourceType: 'Media', resourceId: media._id, before: media });
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting media'
+    });
+  }
+};
+
+// @desc    Report stored assets no document references (dry run)
+// @route   GET /api/media/orphans
+// @access  Private (super-admin)
+const getOrphanedMedia = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await findOrphanedMedia({ minAgeHours: req.query.minAgeHours });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Find orphaned media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scanning for orphaned media'
+    });
+  }
+};
+
+// @desc    Delete orphaned assets from storage
+// @route   POST /api/media/orphans/purge
+// @access  Private (super-admin)
+const purgeOrphans = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await purgeOrphanedMedia({
+      minAgeHours: req.body.minAgeHours,
+      publicIds: req.body.publicIds
+    });
+
+    for (const publicId of result.deleted) {
+      await recordAudit(req, { action: 'delete', resourceType: 'Media', before: { provider: result.provider, publicId } });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted ${result.deleted.length} orphaned asset(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Purge orphaned media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting orphaned media'
+    });
+  }
+};
+
+module.exports = {
+  getMediaItems,
+  getMediaItem,
+  uploadMedia,
+  updateMedia,
+  deleteMedia,
+  getOrphanedMedia,
+  purgeOrphans
+};
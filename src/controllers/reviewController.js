@@ -0,0 +1,271 @@
+const { validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const { refreshCourseRating } = require('../services/reviewService');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+// @desc    Get approved reviews of a course
+// @route   GET /api/courses/:id/reviews
+// @access  Public
+const getCourseReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const course = await Course.findById(req.params.id).select('rating ratingCount');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const query = { course: course._id, status: 'approved' };
+
+    const reviews = await Review.find(query)
+      .populate('batch', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('name rating text batch createdAt');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rating: course.rating,
+        ratingCount: course.ratingCount,
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get course reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+};
+
+// @desc    Submit a review for moderation
+// @route   POST /api/courses/:id/reviews
+// @access  Public
+const submitReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findOne({ _id: req.params.id, isActive: true }).select('_id');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (req.body.batch) {
+      const batch = await Batch.exists({ _id: req.body.batch, course: course._id });
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found for this course'
+        });
+      }
+    }
+
+    const review = await Review.create({
+      course: course._id,
+      batch: req.body.batch || undefined,
+      name: req.body.name,
+      email: req.body.email,
+      rating: req.body.rating,
+      text: req.body.text
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your review will appear once it has been approved.',
+      data: {
+        id: review._id,
+        status: review.status
+      }
+    });
+  } catch (error) {
+    console.error('Submit review error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting review'
+    });
+  }
+};
+
+// @desc    Get reviews for moderation
+// @route   GET /api/reviews
+// @access  Private (courses)
+const getReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      course
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (course) query.course = course;
+
+    const reviews = await Review.find(query)
+      .populate('course', 'title')
+      .populate('batch', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+};
+
+// @desc    Approve or reject a review
+// @route   PATCH /api/reviews/:id/status
+// @access  Private (courses)
+const moderateReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const before = review.toJSON();
+    const { status, reason } = req.body;
+
+    review.status = status;
+    review.rejectionReason = status === 'rejected' ? reason : undefined;
+    review.moderatedBy = req.admin._id;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    // Only approved reviews count towards the course rating
+    if (before.status !== review.status) {
+      await refreshCourseRating(review.course);
+    }
+    await recordAudit(req, { action: 'update', resourceType: 'Review', resourceId: review._id, before, after: review });
+
+    res.json({
+      success: true,
+      message: `Review ${status}`,
+      data: review
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review'
+    });
+  }
+};
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (courses)
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await Review.findByIdAndDelete(req.params.id);
+    if (review.status === 'approved') {
+      await refreshCourseRating(review.course);
+    }
+    await recordAudit(req, { action: 'delete', resourceType: 'Review', resourceId: review._id, before: review });
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+};
+
+module.exports = {
+  getCourseReviews,
+  submitReview,
+  getReviews,
+  moderateReview,
+  deleteReview
+};
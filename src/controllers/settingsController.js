@@ -0,0 +1,65 @@
+const { validationResult } = require('express-validator');
+const { getSecuritySettings, updateSecuritySettings } = require('../services/settingsService');
+const { recordAudit } = require('../services/auditService');
+
+// @desc    Get security settings
+// @route   GET /api/settings/security
+// @access  Private (super-admin)
+const getSecurity = async (req, res) => {
+  try {
+    const settings = await getSecuritySettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security settings'
+    });
+  }
+};
+
+// @desc    Update security settings
+// @route   PUT /api/settings/security
+// @access  Private (super-admin)
+const updateSecurity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const changes = {};
+    if (req.body.requireTwoFactor !== undefined) {
+      changes.requireTwoFactor = req.body.requireTwoFactor;
+    }
+
+    const before = await getSecuritySettings();
+    const settings = await updateSecuritySettings(changes, req.admin._id);
+    await recordAudit(req, { action: 'update', resourceType: 'Settings', before, after: settings });
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating security settings'
+    });
+  }
+};
+
+module.exports = {
+  getSecurity,
+  updateSecurity
+};
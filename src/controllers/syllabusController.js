@@ -0,0 +1,235 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { recordAudit } = require('../services/auditService');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const MODULE_FIELDS = ['title', 'description', 'estimatedHours', 'resources'];
+
+// Lessons may be sent as plain titles or as { title, description }
+const normalizeLessons = lessons => lessons.map(lesson => (typeof lesson === 'string' ? { title: lesson } : lesson));
+
+const moduleData = (body) => {
+  const data = {};
+  MODULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (body.lessons !== undefined) data.lessons = normalizeLessons(body.lessons);
+  return data;
+};
+
+// @desc    Add a module to a course syllabus
+// @route   POST /api/courses/:id/syllabus/modules
+// @access  Private
+const addSyllabusModule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const before = course.toJSON();
+
+    // Appended unless a position is given
+    const module = course.syllabus.create(moduleData(req.body));
+    const position = req.body.position !== undefined
+      ? Math.min(req.body.position, course.syllabus.length)
+      : course.syllabus.length;
+    course.syllabus.splice(position, 0, module);
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.status(201).json({
+      success: true,
+      message: 'Syllabus module added successfully',
+      data: course.syllabus
+    });
+  } catch (error) {
+    console.error('Add syllabus module error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding syllabus module'
+    });
+  }
+};
+
+// @desc    Update a syllabus module; lessons and resources are replaced when sent
+// @route   PUT /api/courses/:id/syllabus/modules/:moduleId
+// @access  Private
+const updateSyllabusModule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const module = course.syllabus.id(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus module not found'
+      });
+    }
+
+    const before = course.toJSON();
+    module.set(moduleData(req.body));
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.json({
+      success: true,
+      message: 'Syllabus module updated successfully',
+      data: module
+    });
+  } catch (error) {
+    console.error('Update syllabus module error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating syllabus module'
+    });
+  }
+};
+
+// @desc    Reorder the modules of a course syllabus
+// @route   PATCH /api/courses/:id/syllabus/order
+// @access  Private
+const reorderSyllabusModules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // The new order must name every module exactly once
+    const { moduleIds } = req.body;
+    const reordered = moduleIds.map(id => course.syllabus.id(id));
+    if (
+      moduleIds.length !== course.syllabus.length ||
+      new Set(moduleIds).size !== moduleIds.length ||
+      reordered.includes(null)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'moduleIds must list every syllabus module exactly once'
+      });
+    }
+
+    const before = course.toJSON();
+    course.syllabus = reordered.map(module => module.toObject());
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.json({
+      success: true,
+      message: 'Syllabus reordered successfully',
+      data: course.syllabus
+    });
+  } catch (error) {
+    console.error('Reorder syllabus error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering syllabus'
+    });
+  }
+};
+
+// @desc    Remove a module from a course syllabus
+// @route   DELETE /api/courses/:id/syllabus/modules/:moduleId
+// @access  Private
+const deleteSyllabusModule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const module = course.syllabus.id(req.params.moduleId);
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Syllabus module not found'
+      });
+    }
+
+    const before = course.toJSON();
+    module.deleteOne();
+
+    await course.save();
+    await recordAudit(req, { action: 'update', resourceType: 'Course', resourceId: course._id, before, after: course });
+
+    res.json({
+      success: true,
+      message: 'Syllabus module removed successfully',
+      data: course.syllabus
+    });
+  } catch (error) {
+    console.error('Delete syllabus module error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing syllabus module'
+    });
+  }
+};
+
+module.exports = {
+  addSyllabusModule,
+  updateSyllabusModule,
+  reorderSyllabusModules,
+  deleteSyllabusModule
+};
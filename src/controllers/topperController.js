@@ -1,17 +1,40 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Topper = require('../models/Topper');
-const { deleteImage, extractPublicId } = require('../config/cloudinary');
+const Course = require('../models/Course');
+const Achievement = require('../models/Achievement');
+const ImportJob = require('../models/ImportJob');
+const { syncImageUsage } = require('../services/imageService');
+const { recordAudit } = require('../services/auditService');
+const { withImageVariants } = require('../services/mediaService');
+const { GROUP_FIELDS, buildTopperStats } = require('../services/topperStatsService');
+const { previewTopperImport, queueTopperImport } = require('../services/topperImportService');
+const { failStaleImports } = require('../services/importQueue');
+const { validationErrorResponse } = require('../middlewares/errorMiddleware');
+
+const COURSE_SUMMARY = 'title slug';
+const COURSE_DETAIL = 'title slug category level';
 
 // @desc    Get all toppers
 // @route   GET /api/toppers
 // @access  Public
 const getToppers = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { 
       page = 1, 
       limit = 10, 
       year, 
       exam,
+      course,
       featured,
       isActive = true 
     } = req.query;
@@ -19,10 +42,12 @@ const getToppers = async (req, res) => {
     const query = { isActive };
     
     if (year) query.year = year;
+    if (course) query.course = course;
     if (exam) query.exam = new RegExp(exam, 'i');
     if (featured !== undefined) query.featured = featured === 'true';
 
     const toppers = await Topper.find(query)
+      .populate('course', COURSE_SUMMARY)
       .sort({ year: -1, featured: -1, createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -33,7 +58,7 @@ const getToppers = async (req, res) => {
     res.json({
       success: true,
       data: {
-        toppers,
+        toppers: await withImageVariants(toppers, ['photo']),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -50,29 +75,122 @@ const getToppers = async (req, res) => {
   }
 };
 
+// @desc    Get topper statistics for the results page
+// @route   GET /api/toppers/stats?groupBy=exam,year&year=&yearFrom=&yearTo=&exam=&course=
+// @access  Public
+const getTopperStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { year, yearFrom, yearTo, exam, course, groupBy } = req.query;
+
+    const match = { isActive: true };
+    if (year) {
+      match.year = year;
+    } else if (yearFrom || yearTo) {
+      match.year = {};
+      if (yearFrom) match.year.$gte = yearFrom;
+      if (yearTo) match.year.$lte = yearTo;
+    }
+    if (exam) match.exam = new RegExp(exam.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    if (course) match.course = new mongoose.Types.ObjectId(course);
+
+    const stats = await buildTopperStats(match, groupBy || GROUP_FIELDS);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get topper stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching topper statistics'
+    });
+  }
+};
+
 // @desc    Get single topper
-// @route   GET /api/toppers/:id
+// @route   GET /api/toppers/:id (id or slug)
 // @access  Public
 const getTopper = async (req, res) => {
   try {
-    const topper = await Topper.findById(req.params.id);
-    
-    if (!topper) {
+    const topper = await Topper.resolveForRequest(req, res, {
+      notFoundMessage: 'Topper not found',
+      populate: ['course', COURSE_DETAIL]
+    });
+    if (!topper) return;
+
+    res.json({
+      success: true,
+      data: await withImageVariants(topper, ['photo'])
+    });
+  } catch (error) {
+    console.error('Get topper error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching topper'
+    });
+  }
+};
+
+// @desc    Get toppers of a course
+// @route   GET /api/courses/:id/toppers
+// @access  Public
+const getCourseToppers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const course = await Course.findById(req.params.id).select('_id');
+    if (!course) {
       return res.status(404).json({
         success: false,
-        message: 'Topper not found'
+        message: 'Course not found'
       });
     }
 
+    const query = { course: course._id, isActive: true };
+
+    const toppers = await Topper.find(query)
+      .sort({ year: -1, featured: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await Topper.countDocuments(query);
+
     res.json({
       success: true,
-      data: topper
+      data: {
+        toppers: await withImageVariants(toppers, ['photo']),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
     });
   } catch (error) {
-    console.error('Get topper error:', error);
+    console.error('Get course toppers error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching topper'
+      message: 'Server error while fetching toppers'
     });
   }
 };
@@ -91,14 +209,19 @@ const createTopper = async (req, res) => {
       });
     }
 
+    // Photo is uploaded by the imageUpload middleware
     const topperData = req.body;
-    
-    // Handle image upload
-    if (req.file) {
-      topperData.photo = req.file.path;
+
+    if (topperData.course && !(await Course.exists({ _id: topperData.course }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course not found'
+      });
     }
 
     const topper = await Topper.create(topperData);
+    await syncImageUsage(undefined, topper.photo, { resourceType: 'Topper', resourceId: topper._id, field: 'photo' });
+    await recordAudit(req, { action: 'create', resourceType: 'Topper', resourceId: topper._id, after: topper });
 
     res.status(201).json({
       success: true,
@@ -107,6 +230,9 @@ const createTopper = async (req, res) => {
     });
   } catch (error) {
     console.error('Create topper error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while creating topper'
@@ -136,20 +262,14 @@ const updateTopper = async (req, res) => {
       });
     }
 
+    // A new photo is uploaded by the imageUpload middleware
     const updateData = req.body;
 
-    // Handle image upload
-    if (req.file) {
-      // Delete old image from Cloudinary
-      if (topper.photo) {
-        try {
-          const publicId = extractPublicId(topper.photo);
-          await deleteImage(publicId);
-        } catch (error) {
-          console.error('Error deleting old image:', error);
-        }
-      }
-      updateData.photo = req.file.path;
+    if (updateData.course && !(await Course.exists({ _id: updateData.course }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course not found'
+      });
     }
 
     const updatedTopper = await Topper.findByIdAndUpdate(
@@ -158,6 +278,10 @@ const updateTopper = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Release the replaced photo only now that the new one is saved
+    await syncImageUsage(topper.photo, updatedTopper.photo, { resourceType: 'Topper', resourceId: topper._id, field: 'photo' });
+    await recordAudit(req, { action: 'update', resourceType: 'Topper', resourceId: topper._id, before: topper, after: updatedTopper });
+
     res.json({
       success: true,
       message: 'Topper updated successfully',
@@ -165,6 +289,9 @@ const updateTopper = async (req, res) => {
     });
   } catch (error) {
     console.error('Update topper error:', error);
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Server error while updating topper'
@@ -185,17 +312,15 @@ const deleteTopper = async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary
-    if (topper.photo) {
-      try {
-        const publicId = extractPublicId(topper.photo);
-        await deleteImage(publicId);
-      } catch (error) {
-        console.error('Error deleting image:', error);
-      }
-    }
-
     await Topper.findByIdAndDelete(req.params.id);
+    // Achievements keep the student's name but lose the link
+    await Achievement.updateMany(
+      { 'relatedStudents.topper': topper._id },
+      { $unset: { 'relatedStudents.$[student].topper': 1 } },
+      { arrayFilters: [{ 'student.topper': topper._id }] }
+    );
+    await syncImageUsage(topper.photo, undefined, { resourceType: 'Topper', resourceId: topper._id, field: 'photo' });
+    await recordAudit(req, { action: 'delete', resourceType: 'Topper', resourceId: topper._id, before: topper });
 
     res.json({
       success: true,
@@ -210,10 +335,116 @@ const deleteTopper = async (req, res) => {
   }
 };
 
+// @desc    Queue an import of toppers from a CSV/XLSX sheet, photos from an
+//          optional ZIP; poll GET /api/toppers/import/:jobId for the report.
+//          With dryRun the rows are only checked and a preview is returned.
+// @route   POST /api/toppers/import
+// @access  Private
+const importToppers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const files = {
+      sheet: req.files.sheet[0],
+      archive: req.files.photos ? req.files.photos[0] : undefined
+    };
+
+    // Defaults fill cells left empty, e.g. one exam and year for a whole sheet
+    const { mapping = {}, exam, year, achievement, course } = req.body;
+    const options = { mapping, defaults: { exam, year, achievement, course } };
+
+    if (req.body.dryRun) {
+      const preview = await previewTopperImport(files, options);
+      if (preview.error) {
+        return res.status(preview.statusCode).json({
+          success: false,
+          message: preview.error
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: preview
+      });
+    }
+
+    const { job, error, statusCode } = await queueTopperImport(files, options, req.admin);
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Topper import queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
+  } catch (error) {
+    console.error('Import toppers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing toppers'
+    });
+  }
+};
+
+// @desc    Get the progress and per-row report of a topper import
+// @route   GET /api/toppers/import/:jobId
+// @access  Private
+const getTopperImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await failStaleImports();
+    const job = await ImportJob.findOne({ _id: req.params.jobId, type: 'toppers' }).select('-__v');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get topper import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching import job'
+    });
+  }
+};
+
 module.exports = {
   getToppers,
+  getTopperStats,
   getTopper,
+  getCourseToppers,
   createTopper,
   updateTopper,
-  deleteTopper
+  deleteTopper,
+  importToppers,
+  getTopperImport
 };
\ No newline at end of file
@@ -1,7 +1,11 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { getSecuritySettings } = require('../services/settingsService');
 
-const authMiddleware = async (req, res, next) => {
+// Build an authentication middleware. `allowPendingTwoFactor` lets admins
+// who still have to enrol in 2FA through (used by the enrolment routes).
+const authenticate = ({ allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -29,7 +33,36 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Tokens must belong to a live session
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isValid() || !session.admin.equals(admin._id)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has expired or been revoked.' 
+      });
+    }
+
+    if (admin.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password was changed. Please log in again.' 
+      });
+    }
+
+    // When 2FA is mandatory, unenrolled admins may only reach the enrolment routes
+    if (!allowPendingTwoFactor && !admin.twoFactor.enabled) {
+      const { requireTwoFactor } = await getSecuritySettings();
+      if (requireTwoFactor) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing.'
+        });
+      }
+    }
+
     req.admin = admin;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -54,6 +87,9 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+const authMiddleware = authenticate();
+const twoFactorSetupAuth = authenticate({ allowPendingTwoFactor: true });
+
 // Permission middleware
 const checkPermission = (requiredPermission) => {
   return (req, res, next) => {
@@ -72,4 +108,18 @@ const checkPermission = (requiredPermission) => {
   };
 };
 
-module.exports = { authMiddleware, checkPermission };
\ No newline at end of file
+// Role middleware
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.admin.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required role: ${roles.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { authMiddleware, twoFactorSetupAuth, checkPermission, requireRole };
\ No newline at end of file
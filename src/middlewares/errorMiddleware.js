@@ -53,4 +53,15 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { errorHandler };
\ No newline at end of file
+// 400 response listing the messages of a Mongoose ValidationError, for
+// handlers that catch their own errors
+const validationErrorResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message).join(', ');
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: messages
+  });
+};
+
+module.exports = { errorHandler, validationErrorResponse };
\ No newline at end of file
@@ -0,0 +1,341 @@
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const { storeImage, removeStoredImage } = require('../services/imageService');
+const { checkDimensions } = require('../services/imageProcessor');
+const { createMedia, placeholderForUrl } = require('../services/mediaService');
+const { deleteImage } = require('../services/storage');
+
+// Keep uploads in memory; the storage service decides where they end up
+const memoryStorage = multer.memoryStorage();
+
+const upload = multer({ 
+  storage: memoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  // A first cheap check only; the content itself is sniffed before storage
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/svg+xml') {
+      cb(new Error('SVG images are not allowed'), false);
+    } else if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Import archives hold a whole event's photos. Override with
+// IMPORT_MAX_ARCHIVE_MB; note serverless platforms cap request bodies
+// (4.5MB on Vercel), so large imports need the long-running server.
+const MAX_ARCHIVE_MB = parseInt(process.env.IMPORT_MAX_ARCHIVE_MB, 10) || 100;
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const isZipFile = file => ZIP_MIME_TYPES.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip');
+
+// ZIP archives for bulk imports
+const archiveUploader = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: MAX_ARCHIVE_MB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (isZipFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP archives are allowed!'), false);
+    }
+  }
+});
+
+// Spreadsheet imports: CSV or XLSX, judged by extension since browsers
+// disagree on their MIME types
+const isSpreadsheetFile = file => SPREADSHEET_EXTENSIONS.some(ext => file.originalname.toLowerCase().endsWith(ext));
+
+const uploadErrorMessage = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') return 'File too large. Maximum size is 5MB';
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') return 'Unexpected file field';
+  return error.message;
+};
+
+// Store one parsed file and record it in the media library. The asset is
+// removed again when the request failed or the connection closed before
+// the response was sent.
+const storeUploadedFile = async (req, res, file, { source, altText, rules }) => {
+  let asset;
+  try {
+    asset = await storeImage(file, { rules });
+    if (!asset || !asset.url) {
+      throw new Error('Upload failed - no URL returned');
+    }
+
+    const media = await createMedia(asset, {
+      file,
+      admin: req.admin,
+      source,
+      altText
+    });
+
+    res.on('close', () => {
+      if (!res.writableFinished || res.statusCode >= 400) {
+        removeStoredImage(asset.url);
+      }
+    });
+
+    return { asset, media };
+  } catch (error) {
+    if (asset && asset.publicId) {
+      deleteImage(asset.publicId).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+const plainPlaceholder = (media) => (media.placeholder ? media.placeholder.toObject() : null);
+
+// Use an asset already in the media library instead of a new file
+const reuseMedia = async (req, res, field, rules, next) => {
+  const mediaId = req.body[`${field}MediaId`];
+  delete req.body[`${field}MediaId`];
+
+  if (!mongoose.isValidObjectId(mediaId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid media id'
+    });
+  }
+
+  const media = await Media.findById(mediaId);
+  if (!media) {
+    return res.status(404).json({
+      success: false,
+      message: 'Media not found'
+    });
+  }
+
+  if (media.width && media.height) {
+    try {
+      checkDimensions(media.width, media.height, rules);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  req.body[field] = media.url;
+  req.body[`${field}Meta`] = plainPlaceholder(media);
+  req.reusedMedia = media;
+  next();
+};
+
+// Shared image upload step for every resource. Parses the multipart file in
+// `field`, checks it against the `rules` set from config/imageRules, strips
+// its metadata, stores it, records it in the media library and sets
+// req.body[field] to its URL. Instead of a file, `<field>MediaId` may name
+// an existing media library asset to reuse. A newly stored file is exposed
+// as req.uploadedImage / req.uploadedMedia and removed again if the request
+// fails, so a rejected save never leaves an orphaned asset behind.
+// `<field>Meta` is always set by the server to the placeholder data of the
+// image in req.body[field], never taken from the client.
+const imageUpload = (field, {
+  required = false,
+  requiredMessage = 'Image is required',
+  source = 'upload',
+  allowReuse = true,
+  rules = 'default'
+} = {}) => {
+  const parse = upload.single(field);
+
+  return (req, res, next) => {
+    parse(req, res, async (parseError) => {
+      if (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: `Image upload failed: ${uploadErrorMessage(parseError)}`
+        });
+      }
+
+      // Drop non-string values such as an empty object sent by FormData
+      if (req.body && typeof req.body[field] !== 'string') {
+        delete req.body[field];
+      }
+      delete req.body[`${field}Meta`];
+
+      if (!req.file) {
+        try {
+          if (allowReuse && req.body[`${field}MediaId`]) {
+            return await reuseMedia(req, res, field, rules, next);
+          }
+          if (req.body[field]) {
+            req.body[`${field}Meta`] = await placeholderForUrl(req.body[field]);
+          }
+        } catch (error) {
+          console.error('❌ Media reuse error:', error);
+          return res.status(500).json({
+            success: false,
+            message: 'Server error while loading media'
+          });
+        }
+
+        if (required) {
+          return res.status(400).json({
+            success: false,
+            message: requiredMessage
+          });
+        }
+        return next();
+      }
+
+      try {
+        const { asset, media } = await storeUploadedFile(req, res, req.file, {
+          source,
+          rules,
+          altText: req.body.altText
+        });
+        req.body[field] = asset.url;
+        req.body[`${field}Meta`] = plainPlaceholder(media);
+        req.uploadedImage = asset;
+        req.uploadedMedia = media;
+
+        next();
+      } catch (uploadError) {
+        console.error('❌ Image upload error:', uploadError);
+        res.status(400).json({
+          success: false,
+          message: `Image upload failed: ${uploadError.message}`
+        });
+      }
+    });
+  };
+};
+
+// Multi-file variant of imageUpload for `upload.array(field)`. Every file is
+// stored and recorded in the media library; the results are exposed in
+// upload order as req.uploadedImages / req.uploadedMediaItems. If any file
+// fails, or the request fails later, all of them are removed again.
+const imageUploads = (field, {
+  maxCount = 20,
+  requiredMessage = 'At least one image is required',
+  source = 'upload',
+  rules = 'default'
+} = {}) => {
+  const parse = upload.array(field, maxCount);
+
+  return (req, res, next) => {
+    parse(req, res, async (parseError) => {
+      if (parseError) {
+        const message = parseError.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Upload at most ${maxCount} files in "${field}"`
+          : uploadErrorMessage(parseError);
+        return res.status(400).json({
+          success: false,
+          message: `Image upload failed: ${message}`
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: requiredMessage
+        });
+      }
+
+      req.uploadedImages = [];
+      req.uploadedMediaItems = [];
+
+      try {
+        for (const file of req.files) {
+          const { asset, media } = await storeUploadedFile(req, res, file, { source, rules });
+          req.uploadedImages.push(asset);
+          req.uploadedMediaItems.push(media);
+        }
+
+        next();
+      } catch (uploadError) {
+        console.error('❌ Image upload error:', uploadError);
+        res.status(400).json({
+          success: false,
+          message: `Image upload failed: ${uploadError.message}`
+        });
+      }
+    });
+  };
+};
+
+// Parse a required ZIP archive into req.file
+const archiveUpload = (field) => {
+  const parse = archiveUploader.single(field);
+
+  return (req, res, next) => {
+    parse(req, res, (parseError) => {
+      if (parseError) {
+        const message = parseError.code === 'LIMIT_FILE_SIZE'
+          ? `File too large. Maximum size is ${MAX_ARCHIVE_MB}MB`
+          : uploadErrorMessage(parseError);
+        return res.status(400).json({
+          success: false,
+          message: `Archive upload failed: ${message}`
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A ZIP archive is required'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+// Parse a required CSV/XLSX file and an optional ZIP archive (e.g. photos
+// referenced by the rows) into req.files. The ZIP shares the archive limit,
+// enough for the photos of a full results sheet.
+const spreadsheetUpload = (sheetField, archiveField) => {
+  const parse = multer({
+    storage: memoryStorage,
+    limits: {
+      fileSize: MAX_ARCHIVE_MB * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+      if (file.fieldname === sheetField && !isSpreadsheetFile(file)) {
+        cb(new Error('Only CSV or XLSX files are allowed!'), false);
+      } else if (file.fieldname === archiveField && !isZipFile(file)) {
+        cb(new Error('Only ZIP archives are allowed!'), false);
+      } else {
+        cb(null, true);
+      }
+    }
+  }).fields([{ name: sheetField, maxCount: 1 }, { name: archiveField, maxCount: 1 }]);
+
+  return (req, res, next) => {
+    parse(req, res, (parseError) => {
+      if (parseError) {
+        const message = parseError.code === 'LIMIT_FILE_SIZE'
+          ? `File too large. Maximum size is ${MAX_ARCHIVE_MB}MB`
+          : uploadErrorMessage(parseError);
+        return res.status(400).json({
+          success: false,
+          message: `Import upload failed: ${message}`
+        });
+      }
+
+      if (!req.files || !req.files[sheetField]) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV or XLSX file is required'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = { upload, imageUpload, imageUploads, archiveUpload, spreadsheetUpload };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const slugPlugin = require('./plugins/slugPlugin');
 
 const achievementSchema = new mongoose.Schema({
   title: {
@@ -16,6 +18,7 @@ const achievementSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Achievement image is required']
   },
+  imageMeta: imageMetaSchema,
   date: {
     type: Date,
     required: [true, 'Achievement date is required']
@@ -29,7 +32,13 @@ const achievementSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Details cannot exceed 1000 characters']
   },
+  // Students named in the achievement. `topper` links to a topper record;
+  // the other fields cover students without one.
   relatedStudents: [{
+    topper: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topper'
+    },
     name: String,
     class: {
       type: String,
@@ -59,4 +68,9 @@ const achievementSchema = new mongoose.Schema({
 // Index for efficient querying
 achievementSchema.index({ date: -1, featured: -1, category: 1 });
 
+// Index for listing the achievements of a topper
+achievementSchema.index({ 'relatedStudents.topper': 1 });
+
+achievementSchema.plugin(slugPlugin, { source: 'title' });
+
 module.exports = mongoose.model('Achievement', achievementSchema);
\ No newline at end of file
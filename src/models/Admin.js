@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../services/totp');
+
+const PASSWORD_RESET_TTL_MINUTES = 30;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashResetToken = (token) => sha256(token);
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -27,7 +39,7 @@ const adminSchema = new mongoose.Schema({
   },
   permissions: [{
     type: String,
-    enum: ['courses', 'toppers', 'achievements', 'gallery', 'contacts', 'home', 'users']
+    enum: ['courses', 'toppers', 'achievements', 'gallery', 'contacts', 'enrollments', 'home', 'media', 'users']
   }],
   isActive: {
     type: Boolean,
@@ -42,9 +54,52 @@ const adminSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String
+  },
+  passwordResetExpires: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    pendingSecret: {
+      type: String
+    },
+    recoveryCodes: [{
+      type: String
+    }],
+    lastUsedStep: {
+      type: Number
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpires;
+      ret.twoFactor = {
+        enabled: !!(ret.twoFactor && ret.twoFactor.enabled),
+        enabledAt: ret.twoFactor ? ret.twoFactor.enabledAt : undefined
+      };
+      delete ret.__v;
+      return ret;
+    }
+  }
 });
 
 // Hash password before saving
@@ -54,6 +109,12 @@ adminSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued before this moment are rejected by authMiddleware.
+    // Backdate by a second so a token issued right after the change stays valid.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -65,6 +126,12 @@ adminSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether a token issued at `iat` (seconds) predates the last password change
+adminSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) return false;
+  return iat * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Check if account is locked
 adminSchema.methods.isLocked = function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -98,4 +165,66 @@ adminSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Create a single-use password reset token; only its hash is stored
+adminSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  return token;
+};
+
+// Find the admin owning an unexpired reset token
+adminSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Replace the recovery codes and return the plain codes (shown once)
+adminSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => sha256(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Check an authenticator code or an unused recovery code.
+// Marks the code as used; the caller must save the document.
+adminSchema.methods.verifyTwoFactorCode = function(code, { secret = this.twoFactor.secret } = {}) {
+  if (!secret) return null;
+
+  const step = totp.verifyToken(secret, code);
+  if (step !== null) {
+    // Reject replays of a code that was already accepted
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return null;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = sha256(normalizeRecoveryCode(code));
+  const index = this.twoFactor.recoveryCodes.indexOf(hash);
+  if (index !== -1 && secret === this.twoFactor.secret) {
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Turn off two-factor authentication and forget all secrets
+adminSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    recoveryCodes: []
+  };
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
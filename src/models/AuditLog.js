@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  adminEmail: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    enum: ['create', 'update', 'delete', 'login', 'login_failed', 'password_change', 'password_reset']
+  },
+  resourceType: {
+    type: String,
+    required: [true, 'Resource type is required'],
+    enum: ['Admin', 'Course', 'Batch', 'Topper', 'Achievement', 'Gallery', 'Home', 'Contact', 'Enrollment', 'Review', 'Coupon', 'Faculty', 'Settings', 'Media']
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // For updates only the changed fields are kept; creates store the new
+  // document in `after` and deletes the removed one in `before`
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the audit log filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ admin: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const DAYS_OF_WEEK = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const batchSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters']
+  },
+  daysOfWeek: {
+    type: [{
+      type: String,
+      enum: DAYS_OF_WEEK
+    }],
+    validate: {
+      validator: days => days.length > 0,
+      message: 'At least one day of the week is required'
+    }
+  },
+  // Class timings in 24-hour "HH:mm" local time
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  seatsTaken: {
+    type: Number,
+    default: 0,
+    min: [0, 'Seats taken cannot be negative']
+  },
+  // Closed by an admin, e.g. cancelled; closes the batch regardless of dates
+  isClosed: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+batchSchema.pre('validate', function(next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  if (this.seatsTaken > this.capacity) {
+    this.invalidate('capacity', 'Capacity cannot be lower than the seats already taken');
+  }
+  next();
+});
+
+// Status follows from the dates and seats, so it never goes stale:
+// closed > full > running > upcoming
+batchSchema.virtual('status').get(function() {
+  const now = new Date();
+  if (this.isClosed || (this.endDate && this.endDate < now)) return 'closed';
+  if (this.seatsTaken >= this.capacity) return 'full';
+  if (this.startDate <= now) return 'running';
+  return 'upcoming';
+});
+
+batchSchema.virtual('seatsAvailable').get(function() {
+  return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+// Index for listing a course's batches by start date
+batchSchema.index({ course: 1, startDate: 1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Empty scopes mean the coupon applies to every course
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  categories: [{
+    type: String,
+    enum: ['Academic', 'Competitive', 'Skill Development', 'Language', 'Other']
+  }],
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  // Early-bird coupons only apply to batches starting at least this many days ahead
+  earlyBirdDays: {
+    type: Number,
+    min: [1, 'Early-bird days must be at least 1']
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the window and the percentage consistent
+couponSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
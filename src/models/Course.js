@@ -1,4 +1,157 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const slugPlugin = require('./plugins/slugPlugin');
+
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Lesson title is required'],
+    trim: true,
+    maxlength: [150, 'Lesson title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Lesson description cannot exceed 500 characters']
+  }
+});
+
+// Downloadable material linked from a module, e.g. notes or worksheets
+const resourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Resource title is required'],
+    trim: true,
+    maxlength: [150, 'Resource title cannot exceed 150 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Resource URL is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['pdf', 'document', 'video', 'link', 'other'],
+    default: 'link'
+  }
+});
+
+// One syllabus module; array position is the teaching order
+const syllabusModuleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Module title is required'],
+    trim: true,
+    maxlength: [150, 'Module title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Module description cannot exceed 1000 characters']
+  },
+  estimatedHours: {
+    type: Number,
+    min: [0, 'Estimated hours cannot be negative']
+  },
+  lessons: [lessonSchema],
+  resources: [resourceSchema]
+});
+
+const instalmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Instalment label cannot exceed 50 characters']
+  },
+  // Percentage of the tuition fee due in this instalment
+  share: {
+    type: Number,
+    required: [true, 'Instalment share is required'],
+    min: [0.01, 'Instalment share must be above 0'],
+    max: [100, 'Instalment share cannot exceed 100']
+  },
+  // Days after the start date on which the instalment falls due
+  dueAfterDays: {
+    type: Number,
+    required: [true, 'Instalment due offset is required'],
+    min: [0, 'Instalment due offset cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+const lateFeeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['flat', 'per-day'],
+    default: 'flat'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Late fee amount is required'],
+    min: [0, 'Late fee amount cannot be negative']
+  },
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace days cannot be negative']
+  },
+  // Upper bound for per-day late fees
+  maxAmount: {
+    type: Number,
+    min: [0, 'Maximum late fee cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+// How the tuition fee is paid. Instalment shares are percentages of the
+// tuition so plans follow price changes; see services/feeScheduleService.
+const feePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fee plan name is required'],
+    trim: true,
+    maxlength: [100, 'Fee plan name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['one-time', 'instalments'],
+    required: [true, 'Fee plan type is required']
+  },
+  // Paid on registration, on top of the tuition fee
+  registrationFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Registration fee cannot be negative']
+  },
+  instalments: [instalmentSchema],
+  lateFee: lateFeeSchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+feePlanSchema.pre('validate', function(next) {
+  if (this.type === 'instalments') {
+    const shares = this.instalments.reduce((sum, instalment) => sum + instalment.share, 0);
+    const ordered = this.instalments.every((instalment, index, all) => (
+      index === 0 || instalment.dueAfterDays > all[index - 1].dueAfterDays
+    ));
+
+    if (this.instalments.length < 2) {
+      this.invalidate('instalments', 'An instalment plan needs at least 2 instalments');
+    } else if (Math.abs(shares - 100) > 0.01) {
+      this.invalidate('instalments', 'Instalment shares must add up to 100');
+    } else if (!ordered) {
+      this.invalidate('instalments', 'Instalments must fall due in increasing order');
+    }
+  } else if (this.instalments.length) {
+    this.invalidate('instalments', 'A one-time plan cannot have instalments');
+  }
+  next();
+});
 
 const courseSchema = new mongoose.Schema({
   title: {
@@ -21,6 +174,7 @@ const courseSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Course image is required']
   },
+  imageMeta: imageMetaSchema,
   duration: {
     type: String,
     required: [true, 'Course duration is required']
@@ -56,22 +210,51 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Average of approved reviews, see services/reviewService
   rating: {
     type: Number,
     min: 0,
     max: 5,
     default: 0
   },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Legacy hand-copied instructor details, superseded by `faculty`.
+  // See scripts/migrateInstructorsToFaculty.
   instructor: {
     name: String,
     qualification: String,
     experience: String
-  }
+  },
+  faculty: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
+  }],
+  syllabus: [syllabusModuleSchema],
+  feePlans: [feePlanSchema]
 }, {
   timestamps: true
 });
 
+// Only checked when either value changes, so saves that touch other fields
+// (syllabus, fee plans) still work on legacy data. Update queries have no
+// document to compare with; updateCourse checks those.
+courseSchema.pre('validate', function(next) {
+  const changed = this.isModified('price') || this.isModified('discountPrice');
+  if (changed && this.discountPrice !== undefined && this.discountPrice !== null && this.discountPrice > this.price) {
+    this.invalidate('discountPrice', 'Discount price cannot exceed the price');
+  }
+  next();
+});
+
 // Index for search functionality
 courseSchema.index({ title: 'text', description: 'text', category: 'text' });
 
+// Index for listing the courses a faculty member teaches
+courseSchema.index({ faculty: 1 });
+
+courseSchema.plugin(slugPlugin, { source: 'title' });
+
 module.exports = mongoose.model('Course', courseSchema);
\ No newline at end of file
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const PHONE_PATTERN = [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number'];
+const EMAIL_PATTERN = [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const enrollmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  },
+  student: {
+    name: {
+      type: String,
+      required: [true, 'Student name is required'],
+      trim: true,
+      maxlength: [100, 'Student name cannot exceed 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Student email is required'],
+      trim: true,
+      lowercase: true,
+      match: EMAIL_PATTERN
+    },
+    phone: {
+      type: String,
+      required: [true, 'Student phone number is required'],
+      trim: true,
+      match: PHONE_PATTERN
+    },
+    dateOfBirth: {
+      type: Date
+    },
+    gender: {
+      type: String,
+      enum: ['Male', 'Female', 'Other']
+    },
+    currentClass: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Class cannot exceed 50 characters']
+    },
+    school: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'School cannot exceed 150 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters']
+    }
+  },
+  guardian: {
+    name: {
+      type: String,
+      required: [true, 'Guardian name is required'],
+      trim: true,
+      maxlength: [100, 'Guardian name cannot exceed 100 characters']
+    },
+    relation: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Relation cannot exceed 50 characters']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Guardian phone number is required'],
+      trim: true,
+      match: PHONE_PATTERN
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: EMAIL_PATTERN
+    }
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // Price quoted when the application was submitted
+  pricing: {
+    price: Number,
+    courseDiscount: Number,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponCode: String,
+    couponDiscount: Number,
+    // The coupon use is counted while the application is active
+    couponRedeemed: Boolean,
+    finalPrice: Number
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'verified', 'admitted', 'rejected', 'withdrawn'],
+    default: 'applied'
+  },
+  statusHistory: [statusChangeSchema],
+  adminNotes: {
+    type: String,
+    maxlength: [1000, 'Admin notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the admin pipeline and for counting admissions per course
+enrollmentSchema.index({ status: 1, createdAt: -1 });
+enrollmentSchema.index({ course: 1, status: 1 });
+enrollmentSchema.index({ batch: 1, status: 1 });
+enrollmentSchema.index({ 'student.email': 1, course: 1 });
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
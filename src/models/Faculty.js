@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const slugPlugin = require('./plugins/slugPlugin');
+
+const facultySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  designation: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Designation cannot exceed 100 characters']
+  },
+  photo: {
+    type: String
+  },
+  photoMeta: imageMetaSchema,
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Bio cannot exceed 2000 characters']
+  },
+  subjects: [{
+    type: String,
+    trim: true
+  }],
+  qualifications: [{
+    type: String,
+    trim: true
+  }],
+  experienceYears: {
+    type: Number,
+    min: [0, 'Years of experience cannot be negative']
+  },
+  // Lower numbers are listed first
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the public listing
+facultySchema.index({ isActive: 1, displayOrder: 1, name: 1 });
+
+facultySchema.plugin(slugPlugin, { source: 'name' });
+
+module.exports = mongoose.model('Faculty', facultySchema);
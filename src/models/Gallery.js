@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const slugPlugin = require('./plugins/slugPlugin');
+
+// One photo of an album; array position is the display order
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Photo URL is required']
+  },
+  meta: imageMetaSchema,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  }
+});
 
 const gallerySchema = new mongoose.Schema({
   title: {
@@ -12,10 +33,16 @@ const gallerySchema = new mongoose.Schema({
     trim: true,
     maxlength: [300, 'Description cannot exceed 300 characters']
   },
+  // Cover image shown in listings
   image: {
     type: String,
     required: [true, 'Image is required']
   },
+  imageMeta: imageMetaSchema,
+  photos: [photoSchema],
+  coverPhoto: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -45,7 +72,30 @@ const gallerySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Make an album photo the cover of the item
+gallerySchema.methods.setCover = function(photo) {
+  this.coverPhoto = photo._id;
+  this.image = photo.url;
+  this.imageMeta = photo.meta;
+};
+
+// Listing shape: the cover photo and photo count instead of every photo
+gallerySchema.methods.toSummary = function() {
+  const { photos, ...item } = this.toJSON();
+  const cover = this.coverPhoto && this.photos.id(this.coverPhoto);
+
+  return {
+    ...item,
+    cover: cover
+      ? { _id: cover._id, url: cover.url, caption: cover.caption, altText: cover.altText, meta: item.imageMeta }
+      : { url: this.image, altText: this.title, meta: item.imageMeta },
+    photoCount: photos ? photos.length : 0
+  };
+};
+
 // Index for efficient querying
 gallerySchema.index({ category: 1, date: -1, featured: -1 });
 
+gallerySchema.plugin(slugPlugin, { source: 'title' });
+
 module.exports = mongoose.model('Gallery', gallerySchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
 
 const homeSchema = new mongoose.Schema({
   section: {
@@ -23,6 +24,7 @@ const homeSchema = new mongoose.Schema({
   image: {
     type: String
   },
+  imageMeta: imageMetaSchema,
   buttonText: {
     type: String,
     trim: true
@@ -41,6 +43,7 @@ const homeSchema = new mongoose.Schema({
     designation: String,
     content: String,
     image: String,
+    imageMeta: imageMetaSchema,
     rating: {
       type: Number,
       min: 1,
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// A processing job not saved for this long lost its worker, e.g. to a restart
+const STALE_AFTER_MINUTES = parseInt(process.env.IMPORT_STALE_MINUTES, 10) || 15;
+
+// Outcome for one file or spreadsheet row of an import
+const importResultSchema = new mongoose.Schema({
+  file: {
+    type: String
+  },
+  // Spreadsheet row number, header row being 1
+  row: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['created', 'failed', 'skipped'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  error: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// An uploaded file kept in GridFS until the job has run
+const importUploadSchema = new mongoose.Schema({
+  // Upload field the file came from, e.g. "archive"
+  field: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  size: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+const importJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Import type is required'],
+    enum: ['gallery', 'toppers']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Import settings, e.g. album mode, column mapping and default metadata
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  fileName: {
+    type: String
+  },
+  uploads: [importUploadSchema],
+  total: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: [importResultSchema],
+  // Set when the whole job failed, e.g. an unreadable archive
+  error: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Take the oldest queued job. The update is atomic, so two workers never
+// claim the same job.
+importJobSchema.statics.claimNextJob = function() {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Workers save after every item, so a processing job without recent saves
+// will never finish. Queued jobs are left alone: they wait for a worker.
+importJobSchema.statics.failStaleJobs = async function() {
+  const jobs = await this.find({
+    status: 'processing',
+    updatedAt: { $lt: new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000) }
+  });
+
+  const failed = [];
+  for (const job of jobs) {
+    // Skip a job that saved progress since it was read
+    const result = await this.updateOne(
+      { _id: job._id, status: 'processing', updatedAt: job.updatedAt },
+      { $set: { status: 'failed', error: 'Import was interrupted before it finished', finishedAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) failed.push(job);
+  }
+
+  return failed;
+};
+
+// Indexes for listing recent jobs and for the worker's queue
+importJobSchema.index({ type: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
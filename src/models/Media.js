@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+
+const usageSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true,
+    enum: ['Course', 'Topper', 'Achievement', 'Gallery', 'Home', 'Faculty']
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  field: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const mediaSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Storage provider is required'],
+    enum: ['cloudinary', 'local']
+  },
+  publicId: {
+    type: String,
+    required: [true, 'Public ID is required'],
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required']
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  bytes: {
+    type: Number
+  },
+  format: {
+    type: String
+  },
+  placeholder: imageMetaSchema,
+  // Responsive renditions, see config/imageVariants
+  variants: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  mimeType: {
+    type: String
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters'],
+    default: ''
+  },
+  // 'library' assets were uploaded on their own and stay until deleted;
+  // 'upload' assets came in with a resource form and go when unused
+  source: {
+    type: String,
+    enum: ['library', 'upload'],
+    default: 'upload'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  usages: [usageSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for lookups by storage ID and URL
+mediaSchema.index({ provider: 1, publicId: 1 }, { unique: true });
+mediaSchema.index({ url: 1 });
+mediaSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: [true, 'Admin is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required']
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Index for listing an admin's sessions
+sessionSchema.index({ admin: 1, revokedAt: 1 });
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// An old slug of a course, achievement, gallery item, topper or faculty
+// member, kept so links to it still resolve after the slug is edited
+const slugRedirectSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: [true, 'Resource type is required'],
+    enum: ['Course', 'Achievement', 'Gallery', 'Topper', 'Faculty']
+  },
+  fromSlug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    lowercase: true,
+    trim: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: [true, 'Target is required']
+  }
+}, {
+  timestamps: true
+});
+
+// One redirect per old slug, and lookup of a document's redirects on delete
+slugRedirectSchema.index({ resourceType: 1, fromSlug: 1 }, { unique: true });
+slugRedirectSchema.index({ target: 1 });
+
+module.exports = mongoose.model('SlugRedirect', slugRedirectSchema);
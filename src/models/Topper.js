@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const imageMetaSchema = require('./schemas/imageMetaSchema');
+const slugPlugin = require('./plugins/slugPlugin');
 
 const topperSchema = new mongoose.Schema({
   name: {
@@ -11,6 +13,7 @@ const topperSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Student photo is required']
   },
+  photoMeta: imageMetaSchema,
   achievement: {
     type: String,
     required: [true, 'Achievement description is required'],
@@ -37,8 +40,13 @@ const topperSchema = new mongoose.Schema({
     maxlength: [50, 'Rank cannot exceed 50 characters']
   },
   course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Free-text course for toppers whose course is not in the catalogue
+  courseName: {
     type: String,
-    required: [true, 'Course is required'],
+    trim: true,
     maxlength: [100, 'Course name cannot exceed 100 characters']
   },
   testimonial: {
@@ -57,7 +65,29 @@ const topperSchema = new mongoose.Schema({
   timestamps: true
 });
 
+topperSchema.pre('validate', function(next) {
+  if (!this.course && !this.courseName) {
+    this.invalidate('course', 'Course is required');
+  }
+  next();
+});
+
+// Course used to be free text. Until `npm run toppers:link` has run, read
+// such a value as the course name instead of dropping it, so the topper
+// still shows its course and passes validation when edited.
+topperSchema.pre('init', function(raw) {
+  if (raw && typeof raw.course === 'string' && !/^[a-f0-9]{24}$/i.test(raw.course)) {
+    if (!raw.courseName) raw.courseName = raw.course;
+    delete raw.course;
+  }
+});
+
 // Index for efficient querying
 topperSchema.index({ year: -1, featured: -1 });
 
+// Index for listing the toppers of a course
+topperSchema.index({ course: 1, year: -1 });
+
+topperSchema.plugin(slugPlugin, { source: ['name', 'year'] });
+
 module.exports = mongoose.model('Topper', topperSchema);
\ No newline at end of file
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const SlugRedirect = require('../SlugRedirect');
+
+const MAX_LENGTH = 80;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_LENGTH)
+  .replace(/-+$/, '');
+
+const slugTakenError = (slug) => {
+  const error = new mongoose.Error.ValidationError();
+  error.addError('slug', new mongoose.Error.ValidatorError({
+    path: 'slug',
+    message: `The slug "${slug}" is already in use`,
+    value: slug
+  }));
+  return error;
+};
+
+// Keep an old slug pointing at its document
+const recordRedirect = (resourceType, fromSlug, target) => {
+  return SlugRedirect.updateOne(
+    { resourceType, fromSlug },
+    { $set: { target } },
+    { upsert: true }
+  );
+};
+
+// Adds a unique, editable `slug` generated from the `source` field(s).
+// Generated slugs get a numeric suffix when taken; a slug set by an admin
+// must be free. Changing a slug leaves a SlugRedirect behind.
+const slugPlugin = (schema, { source }) => {
+  schema.add({
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true
+    }
+  });
+
+  // Free slug based on the given text, e.g. "physics-101-2"
+  schema.statics.generateSlug = async function(text, excludeId) {
+    let base = slugify(text) || this.modelName.toLowerCase();
+    // A slug must never be mistaken for an id
+    if (OBJECT_ID_PATTERN.test(base)) base = `${this.modelName.toLowerCase()}-${base}`;
+
+    let candidate = base;
+    for (let suffix = 2; await this.exists({ slug: candidate, _id: { $ne: excludeId } }); suffix++) {
+      candidate = `${base}-${suffix}`;
+    }
+    return candidate;
+  };
+
+  const claimSlug = async (Model, requested, excludeId) => {
+    const slug = slugify(requested);
+    if (!slug || OBJECT_ID_PATTERN.test(slug)) return Model.generateSlug(requested, excludeId);
+    if (await Model.exists({ slug, _id: { $ne: excludeId } })) throw slugTakenError(slug);
+    return slug;
+  };
+
+  // Detail routes accept either an ObjectId or a slug
+  schema.statics.findByIdOrSlug = function(value) {
+    const key = String(value);
+    return this.findOne(OBJECT_ID_PATTERN.test(key) ? { _id: key } : { slug: key.toLowerCase() });
+  };
+
+  // The document that used to have this slug, with its current slug
+  schema.statics.findBySlugRedirect = async function(slug) {
+    const redirect = await SlugRedirect.findOne({ resourceType: this.modelName, fromSlug: String(slug).toLowerCase() });
+    return redirect ? this.findById(redirect.target).select('slug') : null;
+  };
+
+  // Load the document a detail route names in req.params.id. Old slugs get
+  // a permanent redirect to the current one and unknown values a 404; both
+  // resolve to null once the response has been sent.
+  schema.statics.resolveForRequest = async function(req, res, { notFoundMessage, populate } = {}) {
+    let query = this.findByIdOrSlug(req.params.id);
+    if (populate) query = query.populate(...populate);
+
+    const doc = await query;
+    if (doc) return doc;
+
+    const moved = await this.findBySlugRedirect(req.params.id);
+    if (moved) {
+      res.redirect(301, `${req.baseUrl}/${moved.slug}`);
+    } else {
+      res.status(404).json({
+        success: false,
+        message: notFoundMessage || `${this.modelName} not found`
+      });
+    }
+    return null;
+  };
+
+  // Give the document a slug generated from its source field(s)
+  schema.methods.assignSlug = async function() {
+    const text = [].concat(source).map(field => this.get(field)).filter(Boolean).join(' ');
+    this.slug = await this.constructor.generateSlug(text, this._id);
+    return this.slug;
+  };
+
+  schema.post('init', function() {
+    this.$locals.savedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function() {
+    const { savedSlug } = this.$locals;
+
+    if (!this.slug && savedSlug) {
+      // Clearing the slug keeps the current one rather than renaming
+      this.slug = savedSlug;
+    } else if (!this.slug) {
+      await this.assignSlug();
+    } else if (this.isModified('slug')) {
+      this.slug = await claimSlug(this.constructor, this.slug, this._id);
+    }
+  });
+
+  schema.post('save', async function() {
+    const { savedSlug } = this.$locals;
+    if (savedSlug && savedSlug !== this.slug) {
+      await recordRedirect(this.constructor.modelName, savedSlug, this._id);
+    }
+    this.$locals.savedSlug = this.slug;
+  });
+
+  // Controllers update through findByIdAndUpdate, which skips document hooks
+  schema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate();
+    const fields = update.$set && update.$set.slug !== undefined ? update.$set : update;
+    if (fields.slug === undefined) return;
+
+    const current = await this.model.findOne(this.getFilter()).select('slug');
+    if (!current) return;
+
+    if (!fields.slug) {
+      delete fields.slug;
+      return;
+    }
+
+    fields.slug = await claimSlug(this.model, fields.slug, current._id);
+    this._slugBeforeUpdate = current.slug;
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (doc && this._slugBeforeUpdate && this._slugBeforeUpdate !== doc.slug) {
+      await recordRedirect(this.model.modelName, this._slugBeforeUpdate, doc._id);
+    }
+  });
+
+  // Redirects die with their document
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await SlugRedirect.deleteMany({ resourceType: this.model.modelName, target: doc._id });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await SlugRedirect.deleteMany({ resourceType: this.constructor.modelName, target: this._id });
+  });
+};
+
+module.exports = slugPlugin;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Placeholder data stored next to an image URL so clients can reserve the
+// right space and paint a preview before the image loads
+const imageMetaSchema = new mongoose.Schema({
+  blurhash: {
+    type: String
+  },
+  dominantColor: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Dominant colour must be a hex colour']
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  }
+}, {
+  _id: false
+});
+
+module.exports = imageMetaSchema;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
-const { upload } = require('../config/cloudinary');
+const { imageUpload } = require('../middlewares/uploadMiddleware');
 const {
   getAchievements,
   getAchievement,
@@ -27,7 +27,12 @@ const achievementValidation = [
     .withMessage('Date must be a valid date'),
   body('category')
     .isIn(['Academic Excellence', 'Student Achievement', 'Institute Recognition', 'Awards', 'Certifications', 'Other'])
-    .withMessage('Invalid category')
+    .withMessage('Invalid category'),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
 ];
 
 // Public routes
@@ -38,7 +43,7 @@ router.get('/:id', getAchievement);
 router.post('/', 
   authMiddleware, 
   checkPermission('achievements'),
-  upload.single('image'),
+  imageUpload('image', { required: true, requiredMessage: 'Achievement image is required', rules: 'achievement' }),
   achievementValidation,
   createAchievement
 );
@@ -46,7 +51,7 @@ router.post('/',
 router.put('/:id', 
   authMiddleware, 
   checkPermission('achievements'),
-  upload.single('image'),
+  imageUpload('image', { rules: 'achievement' }),
   achievementValidation,
   updateAchievement
 );
@@ -0,0 +1,87 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authMiddleware, checkPermission, requireRole } = require('../middlewares/authMiddleware');
+const {
+  getAdmins,
+  getAdmin,
+  createAdmin,
+  updateAdmin,
+  updateAdminStatus,
+  unlockAdmin,
+  resetAdminTwoFactor,
+  deleteAdmin
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+const ROLES = ['super-admin', 'admin', 'editor'];
+const PERMISSIONS = ['courses', 'toppers', 'achievements', 'gallery', 'contacts', 'enrollments', 'home', 'media', 'users'];
+
+// Validation rules
+const roleAndPermissionValidation = [
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage('Role must be super-admin, admin, or editor'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Invalid permission')
+];
+
+const createAdminValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  ...roleAndPermissionValidation
+];
+
+const updateAdminValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .optional()
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  ...roleAndPermissionValidation
+];
+
+const statusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+// All routes require the 'users' permission
+router.use(authMiddleware, checkPermission('users'));
+
+router.get('/', getAdmins);
+router.get('/:id', getAdmin);
+router.post('/', createAdminValidation, createAdmin);
+router.put('/:id', updateAdminValidation, updateAdmin);
+router.patch('/:id/status', statusValidation, updateAdminStatus);
+router.patch('/:id/unlock', unlockAdmin);
+router.patch('/:id/reset-2fa', requireRole('super-admin'), resetAdminTwoFactor);
+router.delete('/:id', deleteAdmin);
+
+module.exports = router;
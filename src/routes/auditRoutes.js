@@ -0,0 +1,29 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { authMiddleware, requireRole } = require('../middlewares/authMiddleware');
+const {
+  getAuditLogs,
+  getAuditLog
+} = require('../controllers/auditController');
+
+const router = express.Router();
+
+// Validation rules for filters
+const auditFilterValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+];
+
+// Audit log is visible to super-admins only
+router.use(authMiddleware, requireRole('super-admin'));
+
+router.get('/', auditFilterValidation, getAuditLogs);
+router.get('/:id', getAuditLog);
+
+module.exports = router;
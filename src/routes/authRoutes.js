@@ -1,14 +1,36 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const rateLimit = require('express-rate-limit');
+const { authMiddleware, twoFactorSetupAuth } = require('../middlewares/authMiddleware');
 const {
   loginAdmin,
+  loginTwoFactor,
   verifyToken,
-  changePassword
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
 
 const router = express.Router();
 
+// Stricter limit for password recovery requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many password reset requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // @route   POST /api/auth/login
 // @desc    Login admin
 // @access  Public
@@ -22,16 +44,35 @@ router.post('/login', [
     .withMessage('Password must be at least 6 characters long')
 ], loginAdmin);
 
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a 2FA or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  ...twoFactorCodeValidation
+], loginTwoFactor);
+
 // @route   GET /api/auth/verify
 // @desc    Verify token
 // @access  Private
-router.get('/verify', authMiddleware, verifyToken);
+router.get('/verify', twoFactorSetupAuth, verifyToken);
 
 // @route   PUT /api/auth/change-password
 // @desc    Change password
 // @access  Private
 router.put('/change-password', [
-  authMiddleware,
+  twoFactorSetupAuth,
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -40,4 +81,93 @@ router.put('/change-password', [
     .withMessage('New password must be at least 6 characters long')
 ], changePassword);
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for a new token pair
+// @access  Public
+router.post('/refresh', refreshTokenValidation, refreshToken);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the session of a refresh token
+// @access  Public
+router.post('/logout', refreshTokenValidation, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke all sessions of the current admin
+// @access  Private
+router.post('/logout-all', twoFactorSetupAuth, logoutAll);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current admin
+// @access  Private
+router.get('/sessions', authMiddleware, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session of the current admin
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, deleteSession);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  passwordResetLimiter,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  passwordResetLimiter,
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], resetPassword);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment
+// @access  Private
+router.post('/2fa/setup', twoFactorSetupAuth, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrolment with a code
+// @access  Private
+router.post('/2fa/enable', [
+  twoFactorSetupAuth,
+  ...twoFactorCodeValidation
+], enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA
+// @access  Private
+router.post('/2fa/disable', [
+  authMiddleware,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+], disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Generate new recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  authMiddleware,
+  ...twoFactorCodeValidation
+], regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
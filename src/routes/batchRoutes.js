@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  getBatches,
+  getBatch,
+  createBatch,
+  updateBatch,
+  deleteBatch
+} = require('../controllers/batchController');
+
+// Mounted at /api/courses/:id/batches
+const router = express.Router({ mergeParams: true });
+
+const DAYS_OF_WEEK = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const STATUSES = ['upcoming', 'running', 'full', 'closed'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  param('batchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid batch id')
+];
+
+// Required on create, optional on update
+const batchValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Batch name must be between 1 and 100 characters'),
+    field('daysOfWeek')
+      .isArray({ min: 1 })
+      .withMessage('daysOfWeek must be a non-empty array'),
+    body('daysOfWeek.*')
+      .isIn(DAYS_OF_WEEK)
+      .withMessage('Days must be one of Mon, Tue, Wed, Thu, Fri, Sat, Sun'),
+    field('startTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Start time must be in HH:mm format'),
+    field('endTime')
+      .matches(TIME_PATTERN)
+      .withMessage('End time must be in HH:mm format'),
+    field('startDate')
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('endDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('End date must be a valid date'),
+    field('capacity')
+      .isInt({ min: 1 })
+      .withMessage('Capacity must be a whole number of at least 1')
+      .toInt(),
+    body('isClosed')
+      .optional()
+      .isBoolean()
+      .withMessage('isClosed must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Public routes
+router.get('/',
+  idValidation,
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage('Status must be upcoming, running, full or closed'),
+  getBatches
+);
+router.get('/:batchId', idValidation, getBatch);
+
+// Protected routes
+router.post('/',
+  authMiddleware,
+  checkPermission('courses'),
+  idValidation,
+  batchValidation(false),
+  createBatch
+);
+
+router.put('/:batchId',
+  authMiddleware,
+  checkPermission('courses'),
+  idValidation,
+  batchValidation(true),
+  updateBatch
+);
+
+router.delete('/:batchId',
+  authMiddleware,
+  checkPermission('courses'),
+  idValidation,
+  deleteBatch
+);
+
+module.exports = router;
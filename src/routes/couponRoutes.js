@@ -0,0 +1,105 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+
+const router = express.Router();
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+const CATEGORIES = ['Academic', 'Competitive', 'Skill Development', 'Language', 'Other'];
+
+// Validation rules. Code, type and value are required on create and
+// optional on update.
+const couponValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+    field('discountType')
+      .isIn(DISCOUNT_TYPES)
+      .withMessage('Discount type must be percentage or flat'),
+    field('value')
+      .isFloat({ min: 0 })
+      .withMessage('Discount value must be a positive number')
+      .toFloat(),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    body('maxDiscount')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum discount must be a positive number')
+      .toFloat(),
+    body('courses')
+      .optional()
+      .isArray()
+      .withMessage('Courses must be an array'),
+    body('courses.*')
+      .isMongoId()
+      .withMessage('Invalid course id'),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .isIn(CATEGORIES)
+      .withMessage('Invalid category'),
+    body('validFrom')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Valid from must be a valid date'),
+    body('validUntil')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Valid until must be a valid date'),
+    body('earlyBirdDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Early-bird days must be a whole number of at least 1')
+      .toInt(),
+    body('usageLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be a whole number of at least 1')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+const filterValidation = [
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Coupons are part of course pricing, so they share the 'courses' permission
+router.use(authMiddleware, checkPermission('courses'));
+
+router.get('/', filterValidation, getCoupons);
+router.get('/:id', getCoupon);
+router.post('/', couponValidation(false), createCoupon);
+router.put('/:id', couponValidation(true), updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
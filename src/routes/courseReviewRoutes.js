@@ -0,0 +1,61 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const {
+  getCourseReviews,
+  submitReview
+} = require('../controllers/reviewController');
+
+// Mounted at /api/courses/:id/reviews; moderation lives under /api/reviews
+const router = express.Router({ mergeParams: true });
+
+// Limit review spam from a single client
+const reviewLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: { success: false, message: 'Too many reviews from this IP, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation rules
+const courseIdValidation = param('id')
+  .isMongoId()
+  .withMessage('Invalid course id');
+
+const reviewValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Review must be between 1 and 1000 characters'),
+  body('batch')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid batch id')
+];
+
+// Public routes
+router.get('/',
+  courseIdValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  getCourseReviews
+);
+router.post('/', reviewLimiter, courseIdValidation, reviewValidation, submitReview);
+
+module.exports = router;
@@ -1,15 +1,22 @@
 const express = require('express');
-const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
 const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
-const { upload } = require('../config/cloudinary');
+const { imageUpload } = require('../middlewares/uploadMiddleware');
 const uploadDebug = require('../middlewares/uploadDebug'); // Add debug middleware
+const batchRoutes = require('./batchRoutes');
+const syllabusRoutes = require('./syllabusRoutes');
+const courseReviewRoutes = require('./courseReviewRoutes');
+const feePlanRoutes = require('./feePlanRoutes');
 const {
   getCourses,
   getCourse,
+  getCourseQuote,
   createCourse,
   updateCourse,
   deleteCourse
 } = require('../controllers/courseController');
+const { getCourseToppers } = require('../controllers/topperController');
 
 const router = express.Router();
 
@@ -40,18 +47,66 @@ const courseValidation = [
   body('price')
     .isNumeric()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  body('discountPrice')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Discount price must be a positive number')
+    .custom((value, { req }) => Number(value) <= Number(req.body.price))
+    .withMessage('Discount price cannot exceed the price'),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+];
+
+// Quotes reveal whether a coupon code exists, so keep guessing slow
+const quoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: { success: false, message: 'Too many price quotes from this IP, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const quoteValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  query('coupon')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Invalid coupon code'),
+  query('batch')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid batch id')
 ];
 
+// Batches, syllabus, reviews and fee plans of a course
+router.use('/:id/batches', batchRoutes);
+router.use('/:id/syllabus', syllabusRoutes);
+router.use('/:id/reviews', courseReviewRoutes);
+router.use('/:id/fee-plans', feePlanRoutes);
+
 // Public routes
 router.get('/', getCourses);
 router.get('/:id', getCourse);
+router.get('/:id/quote', quoteLimiter, quoteValidation, getCourseQuote);
+router.get('/:id/toppers',
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  getCourseToppers
+);
 
 // Protected routes - ADD UPLOAD DEBUG MIDDLEWARE
 router.post('/', 
   authMiddleware, 
   checkPermission('courses'),
-  upload.single('image'),
+  imageUpload('image', { required: true, requiredMessage: 'Course image is required', rules: 'course' }),
   uploadDebug, // Add debug middleware after upload
   courseValidation,
   createCourse
@@ -60,7 +115,7 @@ router.post('/',
 router.put('/:id', 
   authMiddleware, 
   checkPermission('courses'),
-  upload.single('image'),
+  imageUpload('image', { rules: 'course' }),
   uploadDebug, // Add debug middleware after upload
   courseValidation,
   updateCourse
@@ -0,0 +1,137 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  submitEnrollment,
+  getEnrollments,
+  getEnrollment,
+  updateEnrollment,
+  updateEnrollmentStatus,
+  deleteEnrollment
+} = require('../controllers/enrollmentController');
+
+const router = express.Router();
+
+const STATUSES = ['applied', 'verified', 'admitted', 'rejected', 'withdrawn'];
+const GENDERS = ['Male', 'Female', 'Other'];
+
+// Keep the public form from being used to flood the admissions inbox
+const enrollmentLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: { success: false, message: 'Too many applications from this IP, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation rules. Student and guardian details are required on
+// submission and optional when an admin corrects them.
+const personValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('student.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Student name must be between 1 and 100 characters'),
+    field('student.email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid student email'),
+    field('student.phone')
+      .matches(/^[0-9]{10}$/)
+      .withMessage('Please provide a valid 10-digit student phone number'),
+    body('student.dateOfBirth')
+      .optional()
+      .isISO8601()
+      .withMessage('Date of birth must be a valid date'),
+    body('student.gender')
+      .optional()
+      .isIn(GENDERS)
+      .withMessage('Gender must be Male, Female, or Other'),
+    field('guardian.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Guardian name must be between 1 and 100 characters'),
+    field('guardian.phone')
+      .matches(/^[0-9]{10}$/)
+      .withMessage('Please provide a valid 10-digit guardian phone number'),
+    body('guardian.email')
+      .optional({ values: 'falsy' })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid guardian email')
+  ];
+};
+
+const submissionValidation = [
+  body('course')
+    .isMongoId()
+    .withMessage('Please choose a valid course'),
+  body('batch')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Please choose a valid batch'),
+  body('couponCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Invalid coupon code'),
+  ...personValidation(false),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters')
+];
+
+const updateValidation = [
+  body('batch')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid batch id'),
+  ...personValidation(true),
+  body('adminNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Admin notes cannot exceed 1000 characters')
+];
+
+const statusValidation = [
+  body('status')
+    .isIn(STATUSES)
+    .withMessage('Status must be applied, verified, admitted, rejected, or withdrawn'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+const filterValidation = [
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  query('batch')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid batch id'),
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage('Invalid status')
+];
+
+// Public routes
+router.post('/', enrollmentLimiter, submissionValidation, submitEnrollment);
+
+// Protected routes
+router.get('/', authMiddleware, checkPermission('enrollments'), filterValidation, getEnrollments);
+router.get('/:id', authMiddleware, checkPermission('enrollments'), getEnrollment);
+router.put('/:id', authMiddleware, checkPermission('enrollments'), updateValidation, updateEnrollment);
+router.patch('/:id/status', authMiddleware, checkPermission('enrollments'), statusValidation, updateEnrollmentStatus);
+router.delete('/:id', authMiddleware, checkPermission('enrollments'), deleteEnrollment);
+
+module.exports = router;
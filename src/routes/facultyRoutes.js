@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const { imageUpload } = require('../middlewares/uploadMiddleware');
+const {
+  getFacultyMembers,
+  getFacultyMember,
+  createFacultyMember,
+  updateFacultyMember,
+  deleteFacultyMember
+} = require('../controllers/facultyController');
+
+const router = express.Router();
+
+// Validation rules. Subjects and qualifications may arrive as JSON strings
+// from FormData and are normalised in the controller.
+const facultyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('designation')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Designation cannot exceed 100 characters'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Bio cannot exceed 2000 characters'),
+  body('experienceYears')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 80 })
+    .withMessage('Years of experience must be a whole number between 0 and 80')
+    .toInt(),
+  body('displayOrder')
+    .optional()
+    .isInt()
+    .withMessage('Display order must be a whole number')
+    .toInt(),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+];
+
+const filterValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Public routes
+router.get('/', filterValidation, getFacultyMembers);
+router.get('/:id', getFacultyMember);
+
+// Protected routes. Faculty is course content, so it shares the 'courses' permission.
+router.post('/',
+  authMiddleware,
+  checkPermission('courses'),
+  imageUpload('photo', { rules: 'faculty' }),
+  facultyValidation,
+  createFacultyMember
+);
+
+router.put('/:id',
+  authMiddleware,
+  checkPermission('courses'),
+  imageUpload('photo', { rules: 'faculty' }),
+  facultyValidation,
+  updateFacultyMember
+);
+
+router.delete('/:id',
+  authMiddleware,
+  checkPermission('courses'),
+  deleteFacultyMember
+);
+
+module.exports = router;
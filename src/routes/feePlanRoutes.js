@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  getFeePlans,
+  addFeePlan,
+  updateFeePlan,
+  deleteFeePlan
+} = require('../controllers/feePlanController');
+
+// Mounted at /api/courses/:id/fee-plans. Plans without schedules are also
+// returned by GET /api/courses/:id.
+const router = express.Router({ mergeParams: true });
+
+const PLAN_TYPES = ['one-time', 'instalments'];
+const LATE_FEE_TYPES = ['flat', 'per-day'];
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  param('planId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid fee plan id')
+];
+
+const scheduleValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+  query('batch')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid batch id')
+];
+
+// Name and type are required when adding a plan and optional when updating one
+const planValidation = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Fee plan name must be between 1 and 100 characters'),
+    field('type')
+      .isIn(PLAN_TYPES)
+      .withMessage('Fee plan type must be one-time or instalments'),
+    body('registrationFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Registration fee must be a positive number')
+      .toFloat(),
+    body('instalments')
+      .optional()
+      .isArray()
+      .withMessage('Instalments must be an array'),
+    body('instalments.*.share')
+      .isFloat({ min: 0.01, max: 100 })
+      .withMessage('Instalment share must be a percentage between 0 and 100')
+      .toFloat(),
+    body('instalments.*.dueAfterDays')
+      .isInt({ min: 0 })
+      .withMessage('Instalment due offset must be a whole number of days')
+      .toInt(),
+    body('lateFee')
+      .optional({ values: 'null' })
+      .isObject()
+      .withMessage('Late fee must be an object'),
+    body('lateFee.type')
+      .optional()
+      .isIn(LATE_FEE_TYPES)
+      .withMessage('Late fee type must be flat or per-day'),
+    body('lateFee.amount')
+      .if(body('lateFee').exists({ values: 'null' }))
+      .isFloat({ min: 0 })
+      .withMessage('Late fee amount must be a positive number')
+      .toFloat(),
+    body('lateFee.graceDays')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Grace days must be a whole number of at least 0')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Public route
+router.get('/', idValidation, scheduleValidation, getFeePlans);
+
+// Protected routes
+router.post('/', authMiddleware, checkPermission('courses'), idValidation, planValidation(false), addFeePlan);
+router.put('/:planId', authMiddleware, checkPermission('courses'), idValidation, planValidation(true), updateFeePlan);
+router.delete('/:planId', authMiddleware, checkPermission('courses'), idValidation, deleteFeePlan);
+
+module.exports = router;
@@ -1,17 +1,26 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
-const { upload } = require('../config/cloudinary');
+const { imageUpload, imageUploads, archiveUpload } = require('../middlewares/uploadMiddleware');
 const {
   getGalleryItems,
   getGalleryItem,
   createGalleryItem,
   updateGalleryItem,
-  deleteGalleryItem
+  deleteGalleryItem,
+  addGalleryPhotos,
+  updateGalleryPhoto,
+  reorderGalleryPhotos,
+  deleteGalleryPhoto,
+  setGalleryCover,
+  importGalleryArchive,
+  getGalleryImport
 } = require('../controllers/galleryController');
 
 const router = express.Router();
 
+const GALLERY_CATEGORIES = ['Events', 'Campus Life', 'Functions', 'Achievements', 'Sports', 'Cultural', 'Academic', 'Other'];
+
 // Validation rules
 const galleryValidation = [
   body('title')
@@ -19,13 +28,96 @@ const galleryValidation = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Title must be between 1 and 100 characters'),
   body('category')
-    .isIn(['Events', 'Campus Life', 'Functions', 'Achievements', 'Sports', 'Cultural', 'Academic', 'Other'])
+    .isIn(GALLERY_CATEGORIES)
     .withMessage('Invalid category'),
   body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+];
+
+const photoValidation = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters')
+];
+
+const photoOrderValidation = [
+  body('photoIds')
+    .isArray({ min: 1 })
+    .withMessage('photoIds must be a non-empty array'),
+  body('photoIds.*')
+    .isMongoId()
+    .withMessage('Invalid photo id')
+];
+
+const coverValidation = [
+  body('photoId')
+    .isMongoId()
+    .withMessage('Invalid photo id')
+];
+
+// Album imports need the album's own metadata up front
+const importValidation = [
+  body('mode')
+    .optional()
+    .isIn(['items', 'album'])
+    .withMessage('Mode must be items or album'),
+  body('title')
+    .if(body('mode').equals('album'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Album title must be between 1 and 100 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('category')
+    .if(body('mode').equals('album'))
+    .notEmpty()
+    .withMessage('Album category is required'),
+  body('category')
+    .optional()
+    .isIn(GALLERY_CATEGORIES)
+    .withMessage('Invalid category'),
+  body('date')
+    .if(body('mode').equals('album'))
+    .notEmpty()
+    .withMessage('Album date is required'),
+  body('date')
+    .optional()
     .isISO8601()
     .withMessage('Date must be a valid date')
 ];
 
+// Bulk import (registered before /:id)
+router.post('/import',
+  authMiddleware,
+  checkPermission('gallery'),
+  archiveUpload('archive'),
+  importValidation,
+  importGalleryArchive
+);
+
+router.get('/import/:jobId',
+  authMiddleware,
+  checkPermission('gallery'),
+  param('jobId').isMongoId().withMessage('Invalid import job id'),
+  getGalleryImport
+);
+
 // Public routes
 router.get('/', getGalleryItems);
 router.get('/:id', getGalleryItem);
@@ -34,7 +126,7 @@ router.get('/:id', getGalleryItem);
 router.post('/', 
   authMiddleware, 
   checkPermission('gallery'),
-  upload.single('image'),
+  imageUpload('image', { required: true, requiredMessage: 'Gallery image is required', rules: 'gallery' }),
   galleryValidation,
   createGalleryItem
 );
@@ -42,7 +134,7 @@ router.post('/',
 router.put('/:id', 
   authMiddleware, 
   checkPermission('gallery'),
-  upload.single('image'),
+  imageUpload('image', { rules: 'gallery' }),
   galleryValidation,
   updateGalleryItem
 );
@@ -53,4 +145,39 @@ router.delete('/:id',
   deleteGalleryItem
 );
 
+// Album photos
+router.post('/:id/photos',
+  authMiddleware,
+  checkPermission('gallery'),
+  imageUploads('photos', { maxCount: 20, requiredMessage: 'At least one photo is required', rules: 'gallery' }),
+  addGalleryPhotos
+);
+
+router.patch('/:id/photos/order',
+  authMiddleware,
+  checkPermission('gallery'),
+  photoOrderValidation,
+  reorderGalleryPhotos
+);
+
+router.put('/:id/photos/:photoId',
+  authMiddleware,
+  checkPermission('gallery'),
+  photoValidation,
+  updateGalleryPhoto
+);
+
+router.delete('/:id/photos/:photoId',
+  authMiddleware,
+  checkPermission('gallery'),
+  deleteGalleryPhoto
+);
+
+router.patch('/:id/cover',
+  authMiddleware,
+  checkPermission('gallery'),
+  coverValidation,
+  setGalleryCover
+);
+
 module.exports = router;
\ No newline at end of file
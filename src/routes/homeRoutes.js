@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
-const { upload } = require('../config/cloudinary');
+const { imageUpload } = require('../middlewares/uploadMiddleware');
 const {
   getHomeSections,
   getHomeSection,
@@ -35,7 +35,7 @@ router.get('/:section', getHomeSection);
 router.post('/', 
   authMiddleware, 
   checkPermission('home'),
-  upload.single('image'),
+  imageUpload('image', { rules: 'home' }),
   homeSectionValidation,
   createHomeSection
 );
@@ -43,7 +43,7 @@ router.post('/',
 router.put('/:section', 
   authMiddleware, 
   checkPermission('home'),
-  upload.single('image'),
+  imageUpload('image', { rules: 'home' }),
   homeSectionValidation,
   updateHomeSection
 );
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authMiddleware, checkPermission, requireRole } = require('../middlewares/authMiddleware');
+const { imageUpload } = require('../middlewares/uploadMiddleware');
+const {
+  getMediaItems,
+  getMediaItem,
+  uploadMedia,
+  updateMedia,
+  deleteMedia,
+  getOrphanedMedia,
+  purgeOrphans
+} = require('../controllers/mediaController');
+
+const router = express.Router();
+
+// Validation rules
+const mediaValidation = [
+  body('altText')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text cannot exceed 200 characters')
+];
+
+const orphanScanValidation = [
+  query('minAgeHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minAgeHours must be a positive number')
+    .toFloat()
+];
+
+const orphanPurgeValidation = [
+  body('confirm')
+    .equals('true')
+    .withMessage('Set confirm to true to delete orphaned media'),
+  body('minAgeHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minAgeHours must be a positive number')
+    .toFloat(),
+  body('publicIds')
+    .optional()
+    .isArray()
+    .withMessage('publicIds must be an array')
+];
+
+// Orphaned media garbage collection (super-admin only)
+router.get('/orphans', authMiddleware, requireRole('super-admin'), orphanScanValidation, getOrphanedMedia);
+router.post('/orphans/purge', authMiddleware, requireRole('super-admin'), orphanPurgeValidation, purgeOrphans);
+
+// Any signed-in admin can browse the library to pick an asset
+router.get('/', authMiddleware, getMediaItems);
+router.get('/:id', authMiddleware, getMediaItem);
+
+// Protected routes
+router.post('/', 
+  authMiddleware, 
+  checkPermission('media'),
+  imageUpload('file', {
+    required: true,
+    requiredMessage: 'Image file is required',
+    source: 'library',
+    allowReuse: false
+  }),
+  mediaValidation,
+  uploadMedia
+);
+
+router.put('/:id', 
+  authMiddleware, 
+  checkPermission('media'),
+  mediaValidation,
+  updateMedia
+);
+
+router.delete('/:id', 
+  authMiddleware, 
+  checkPermission('media'),
+  deleteMedia
+);
+
+module.exports = router;
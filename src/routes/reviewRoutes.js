@@ -0,0 +1,42 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  getReviews,
+  moderateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+
+const router = express.Router();
+
+// Validation rules
+const filterValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved, or rejected'),
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course id')
+];
+
+const moderationValidation = [
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+];
+
+// Review moderation requires the 'courses' permission
+router.use(authMiddleware, checkPermission('courses'));
+
+router.get('/', filterValidation, getReviews);
+router.patch('/:id/status', moderationValidation, moderateReview);
+router.delete('/:id', deleteReview);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authMiddleware, requireRole } = require('../middlewares/authMiddleware');
+const {
+  getSecurity,
+  updateSecurity
+} = require('../controllers/settingsController');
+
+const router = express.Router();
+
+// Validation rules
+const securityValidation = [
+  body('requireTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactor must be true or false')
+    .toBoolean()
+];
+
+// All settings are managed by super-admins only
+router.use(authMiddleware, requireRole('super-admin'));
+
+router.get('/security', getSecurity);
+router.put('/security', securityValidation, updateSecurity);
+
+module.exports = router;
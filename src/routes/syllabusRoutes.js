@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
+const {
+  addSyllabusModule,
+  updateSyllabusModule,
+  reorderSyllabusModules,
+  deleteSyllabusModule
+} = require('../controllers/syllabusController');
+
+// Mounted at /api/courses/:id/syllabus. The syllabus itself is returned by
+// GET /api/courses/:id.
+const router = express.Router({ mergeParams: true });
+
+const RESOURCE_TYPES = ['pdf', 'document', 'video', 'link', 'other'];
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  param('moduleId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid module id')
+];
+
+// Title is required when adding a module and optional when updating one
+const moduleValidation = (optional) => [
+  (optional ? body('title').optional() : body('title'))
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Module title must be between 1 and 150 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Module description cannot exceed 1000 characters'),
+  body('estimatedHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Estimated hours must be a positive number')
+    .toFloat(),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a whole number of at least 0')
+    .toInt(),
+  body('lessons')
+    .optional()
+    .isArray()
+    .withMessage('Lessons must be an array'),
+  body('resources')
+    .optional()
+    .isArray()
+    .withMessage('Resources must be an array'),
+  body('resources.*.url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Resource URL must be a valid http(s) URL'),
+  body('resources.*.type')
+    .optional()
+    .isIn(RESOURCE_TYPES)
+    .withMessage('Resource type must be pdf, document, video, link, or other')
+];
+
+const orderValidation = [
+  body('moduleIds')
+    .isArray({ min: 1 })
+    .withMessage('moduleIds must be a non-empty array'),
+  body('moduleIds.*')
+    .isMongoId()
+    .withMessage('Invalid module id')
+];
+
+// All syllabus changes need the 'courses' permission
+router.use(authMiddleware, checkPermission('courses'));
+
+router.post('/modules', idValidation, moduleValidation(false), addSyllabusModule);
+router.put('/modules/:moduleId', idValidation, moduleValidation(true), updateSyllabusModule);
+router.patch('/order', idValidation, orderValidation, reorderSyllabusModules);
+router.delete('/modules/:moduleId', idValidation, deleteSyllabusModule);
+
+module.exports = router;
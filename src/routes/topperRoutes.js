@@ -1,14 +1,18 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { authMiddleware, checkPermission } = require('../middlewares/authMiddleware');
-const { upload } = require('../config/cloudinary');
+const { imageUpload, spreadsheetUpload } = require('../middlewares/uploadMiddleware');
 const {
   getToppers,
+  getTopperStats,
   getTopper,
   createTopper,
   updateTopper,
-  deleteTopper
+  deleteTopper,
+  importToppers,
+  getTopperImport
 } = require('../controllers/topperController');
+const { getTopperAchievements } = require('../controllers/achievementController');
 
 const router = express.Router();
 
@@ -33,21 +37,131 @@ const topperValidation = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Score must be between 1 and 50 characters'),
+  // A catalogue course, or a course name for courses outside the catalogue
   body('course')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid course id'),
+  body('courseName')
+    .optional()
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Course must be between 1 and 100 characters')
+    .isLength({ max: 100 })
+    .withMessage('Course name cannot exceed 100 characters'),
+  body('course')
+    .custom((value, { req }) => Boolean(value || req.body.courseName))
+    .withMessage('Course is required'),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Slug cannot exceed 80 characters')
+];
+
+const STAT_GROUP_FIELDS = ['exam', 'year'];
+
+const statsValidation = [
+  query('groupBy')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(field => field.trim()).filter(Boolean))
+    .custom(fields => fields.length > 0 && fields.every(field => STAT_GROUP_FIELDS.includes(field)))
+    .withMessage('groupBy must be exam, year, or exam,year'),
+  query(['year', 'yearFrom', 'yearTo'])
+    .optional()
+    .isInt({ min: 2000 })
+    .withMessage('Year must be a valid year')
+    .toInt(),
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course id')
+];
+
+const IMPORT_FIELDS = ['name', 'exam', 'year', 'score', 'rank', 'achievement', 'course', 'testimonial', 'photo', 'featured'];
+
+// Multipart bodies carry the column mapping as a JSON string
+const parseMapping = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mapping is { topperField: 'Column header' }; the other fields are
+// defaults for cells left empty
+const importValidation = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean(),
+  body('mapping')
+    .optional()
+    .customSanitizer(parseMapping)
+    .custom(mapping => Boolean(mapping) && typeof mapping === 'object' && !Array.isArray(mapping)
+      && Object.entries(mapping).every(([field, column]) => IMPORT_FIELDS.includes(field) && typeof column === 'string'))
+    .withMessage(`Mapping must be an object of column names keyed by ${IMPORT_FIELDS.join(', ')}`),
+  body('exam')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Exam name cannot exceed 100 characters'),
+  body('year')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 2000, max: new Date().getFullYear() + 1 })
+    .withMessage('Year must be a valid year'),
+  body('achievement')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Achievement cannot exceed 200 characters'),
+  body('course')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Course cannot exceed 100 characters')
+];
+
+// Bulk import (registered before /:id)
+router.post('/import',
+  authMiddleware,
+  checkPermission('toppers'),
+  spreadsheetUpload('sheet', 'photos'),
+  importValidation,
+  importToppers
+);
+
+router.get('/import/:jobId',
+  authMiddleware,
+  checkPermission('toppers'),
+  param('jobId').isMongoId().withMessage('Invalid import job id'),
+  getTopperImport
+);
+
+const listValidation = [
+  query('course')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course id')
 ];
 
 // Public routes
-router.get('/', getToppers);
+router.get('/', listValidation, getToppers);
+router.get('/stats', statsValidation, getTopperStats);
 router.get('/:id', getTopper);
+router.get('/:id/achievements',
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid topper id'),
+  getTopperAchievements
+);
 
 // Protected routes
 router.post('/', 
   authMiddleware, 
   checkPermission('toppers'),
-  upload.single('photo'),
+  imageUpload('photo', { required: true, requiredMessage: 'Student photo is required', rules: 'topper' }),
   topperValidation,
   createTopper
 );
@@ -55,7 +169,7 @@ router.post('/',
 router.put('/:id', 
   authMiddleware, 
   checkPermission('toppers'),
-  upload.single('photo'),
+  imageUpload('photo', { rules: 'topper' }),
   topperValidation,
   updateTopper
 );
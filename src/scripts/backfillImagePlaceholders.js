@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Course = require('../models/Course');
+const Topper = require('../models/Topper');
+const Achievement = require('../models/Achievement');
+const Gallery = require('../models/Gallery');
+const Home = require('../models/Home');
+const Faculty = require('../models/Faculty');
+const Media = require('../models/Media');
+const { computePlaceholder } = require('../services/imageProcessor');
+
+// Image fields and where their placeholder data is stored. `list` names an
+// array whose items each hold an image.
+const TARGETS = [
+  { model: Course, field: 'image', meta: 'imageMeta' },
+  { model: Topper, field: 'photo', meta: 'photoMeta' },
+  { model: Achievement, field: 'image', meta: 'imageMeta' },
+  { model: Gallery, field: 'image', meta: 'imageMeta' },
+  { model: Gallery, list: 'photos', field: 'url', meta: 'meta' },
+  { model: Home, field: 'image', meta: 'imageMeta' },
+  { model: Home, list: 'testimonials', field: 'image', meta: 'imageMeta' },
+  { model: Faculty, field: 'photo', meta: 'photoMeta' }
+];
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for placeholder backfill');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Placeholder for a URL: from its media record when it has one, otherwise
+// computed from the downloaded image and saved on the media record
+const cache = new Map();
+const placeholderFor = async (url) => {
+  if (cache.has(url)) return cache.get(url);
+
+  const media = await Media.findOne({ url });
+  let placeholder = media && media.placeholder ? media.placeholder.toObject() : null;
+
+  if (!placeholder) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+
+    placeholder = await computePlaceholder(Buffer.from(await response.arrayBuffer()));
+    if (media) {
+      media.placeholder = placeholder;
+      await media.save();
+    }
+  }
+
+  cache.set(url, placeholder);
+  return placeholder;
+};
+
+const backfill = async ({ model, list, field, meta }) => {
+  const path = list ? `${list}.${field}` : field;
+  const metaPath = list ? `${list}.${meta}` : meta;
+  let updated = 0;
+  let failed = 0;
+
+  const docs = await model.find({ [path]: { $nin: [null, ''] } });
+
+  for (const doc of docs) {
+    const holders = list ? doc[list] : [doc];
+    let changed = false;
+
+    for (const holder of holders) {
+      if (!holder[field] || (holder[meta] && holder[meta].blurhash)) continue;
+
+      try {
+        holder[meta] = await placeholderFor(holder[field]);
+        changed = true;
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${model.modelName} ${doc._id} ${path}: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      await doc.save({ validateBeforeSave: false });
+      updated += 1;
+    }
+  }
+
+  console.log(`🖼️ ${model.modelName}.${metaPath}: ${updated} document(s) updated, ${failed} image(s) failed`);
+};
+
+const run = async () => {
+  await connectDB();
+
+  for (const target of TARGETS) {
+    await backfill(target);
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Placeholder backfill failed:', error);
+  process.exit(1);
+});
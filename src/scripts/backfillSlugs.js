@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Course = require('../models/Course');
+const Achievement = require('../models/Achievement');
+const Gallery = require('../models/Gallery');
+const Topper = require('../models/Topper');
+const Faculty = require('../models/Faculty');
+
+const MODELS = [Course, Achievement, Gallery, Topper, Faculty];
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for slug backfill');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Oldest documents first, so they get the unsuffixed slugs
+const backfill = async (model) => {
+  const docs = await model.find({ slug: { $in: [null, ''] } }).sort({ createdAt: 1 });
+  let updated = 0;
+
+  for (const doc of docs) {
+    const slug = await doc.assignSlug();
+    // updateOne skips the validators, so legacy data cannot block the backfill
+    await model.updateOne({ _id: doc._id }, { $set: { slug } });
+    updated += 1;
+  }
+
+  console.log(`🔗 ${model.modelName}: ${updated} slug(s) assigned`);
+};
+
+const run = async () => {
+  await connectDB();
+
+  for (const model of MODELS) {
+    await backfill(model);
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Slug backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { findOrphanedMedia, purgeOrphanedMedia } = require('../services/mediaGarbageCollector');
+
+// Usage: node src/scripts/collectOrphanedMedia.js [--confirm] [--min-age-hours=24]
+// Without --confirm only a report is printed.
+const args = process.argv.slice(2);
+const confirm = args.includes('--confirm');
+const minAgeArg = args.find(arg => arg.startsWith('--min-age-hours='));
+const minAgeHours = minAgeArg ? parseFloat(minAgeArg.split('=')[1]) : undefined;
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for media cleanup');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  const report = await findOrphanedMedia({ minAgeHours });
+  console.log(`🔍 Scanned ${report.scanned} asset(s) in ${report.provider} storage`);
+  report.orphans.forEach(asset => console.log(`   orphan: ${asset.publicId} (${asset.bytes || 0} bytes)`));
+  console.log(`ℹ️ ${report.orphans.length} orphaned asset(s), ${report.totalBytes} bytes`);
+
+  if (!confirm) {
+    console.log('ℹ️ Dry run - pass --confirm to delete them');
+  } else if (report.orphans.length > 0) {
+    const result = await purgeOrphanedMedia({ minAgeHours });
+    console.log(`🗑️ Deleted ${result.deleted.length} asset(s)`);
+    result.failed.forEach(item => console.error(`❌ ${item.publicId}: ${item.error}`));
+  }
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Media cleanup failed:', error);
+  process.exit(1);
+});
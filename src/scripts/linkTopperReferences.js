@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Course = require('../models/Course');
+const Topper = require('../models/Topper');
+const Achievement = require('../models/Achievement');
+const { normalizeName, matchCourse } = require('../services/courseMatchService');
+
+// Replaces free-text links with references:
+// - Topper.course strings become Course ids when they match a course title,
+//   otherwise they move to Topper.courseName
+// - Achievement.relatedStudents entries get a `topper` id when their name
+//   matches exactly one topper (the achievement's year breaks ties)
+// Names are compared ignoring case, spacing and punctuation. Safe to
+// re-run. Pass --dry-run to only report what would change.
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for topper reference migration');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+const linkTopperCourses = async () => {
+  const courses = await Course.find().select('title');
+  // Read the raw documents: the old string values no longer fit the schema
+  const toppers = await Topper.collection.find({ course: { $type: 'string' } }).toArray();
+  let linked = 0;
+  let unmatched = 0;
+
+  for (const topper of toppers) {
+    const course = matchCourse(courses, topper.course);
+    const update = course
+      ? { $set: { course: course._id } }
+      : { $set: { courseName: topper.course }, $unset: { course: 1 } };
+
+    if (course) {
+      linked += 1;
+      console.log(`🔗 "${topper.name}": "${topper.course}" -> ${course.title}`);
+    } else {
+      unmatched += 1;
+      console.log(`⚠️ "${topper.name}": no course matches "${topper.course}", kept as course name`);
+    }
+
+    if (!DRY_RUN) await Topper.collection.updateOne({ _id: topper._id }, update);
+  }
+
+  console.log(`🏆 Toppers: ${linked} linked to a course, ${unmatched} kept as course name`);
+};
+
+const linkAchievementStudents = async () => {
+  const toppers = await Topper.find().select('name year');
+  const byName = new Map();
+  toppers.forEach((topper) => {
+    const key = normalizeName(topper.name);
+    byName.set(key, [...(byName.get(key) || []), topper]);
+  });
+
+  const achievements = await Achievement.find({ 'relatedStudents.name': { $nin: [null, ''] } })
+    .select('title date relatedStudents');
+  let linked = 0;
+  let skipped = 0;
+
+  for (const achievement of achievements) {
+    let changed = false;
+
+    achievement.relatedStudents.forEach((student) => {
+      if (student.topper || !student.name) return;
+
+      let candidates = byName.get(normalizeName(student.name)) || [];
+      if (candidates.length > 1 && achievement.date) {
+        candidates = candidates.filter(topper => topper.year === achievement.date.getFullYear());
+      }
+
+      if (candidates.length === 1) {
+        student.topper = candidates[0]._id;
+        changed = true;
+        linked += 1;
+        console.log(`🔗 "${achievement.title}": ${student.name} -> topper ${candidates[0]._id}`);
+      } else {
+        skipped += 1;
+        console.log(`⚠️ "${achievement.title}": ${candidates.length ? 'several toppers' : 'no topper'} named "${student.name}"`);
+      }
+    });
+
+    if (changed && !DRY_RUN) {
+      await Achievement.updateOne({ _id: achievement._id }, { $set: { relatedStudents: achievement.relatedStudents } });
+    }
+  }
+
+  console.log(`🏅 Achievements: ${linked} student(s) linked to a topper, ${skipped} left as names`);
+};
+
+const run = async () => {
+  await connectDB();
+
+  if (DRY_RUN) console.log('🔍 Dry run, nothing will be changed');
+  await linkTopperCourses();
+  await linkAchievementStudents();
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Topper reference migration failed:', error);
+  process.exit(1);
+});
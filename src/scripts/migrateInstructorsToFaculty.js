@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+
+// Turns the instructor details copied into each course into Faculty
+// records and links the courses to them. Instructors with the same name
+// (ignoring case and spacing) become one faculty member. Safe to re-run.
+// Pass --dry-run to only report what would change.
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for instructor migration');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+const normalizeName = name => name.trim().replace(/\s+/g, ' ');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "8 years", "10+ yrs" -> 8, 10
+const parseYears = (experience) => {
+  const match = String(experience || '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : undefined;
+};
+
+// Members met during this run, so a dry run does not "create" one twice
+const seen = new Map();
+
+const findOrCreateFaculty = async (instructor) => {
+  const name = normalizeName(instructor.name);
+  const key = name.toLowerCase();
+  if (seen.has(key)) return { member: seen.get(key), created: false };
+
+  let member = await Faculty.findOne({ name: new RegExp(`^${escapeRegExp(name)}$`, 'i') });
+  const created = !member;
+
+  if (created) {
+    const data = {
+      name,
+      qualifications: instructor.qualification ? [instructor.qualification.trim()] : [],
+      experienceYears: parseYears(instructor.experience)
+    };
+    member = DRY_RUN ? new Faculty(data) : await Faculty.create(data);
+  }
+
+  seen.set(key, member);
+  return { member, created };
+};
+
+const run = async () => {
+  await connectDB();
+
+  const courses = await Course.find({ 'instructor.name': { $nin: [null, ''] } }).select('title instructor faculty');
+  let created = 0;
+  let linked = 0;
+
+  for (const course of courses) {
+    const { member, created: isNew } = await findOrCreateFaculty(course.instructor);
+    if (isNew) {
+      created += 1;
+      console.log(`👤 ${DRY_RUN ? 'Would create' : 'Created'} faculty member "${member.name}"`);
+    }
+
+    if (course.faculty.some(id => id.equals(member._id))) continue;
+
+    if (!DRY_RUN) {
+      await Course.updateOne({ _id: course._id }, { $addToSet: { faculty: member._id } });
+    }
+    linked += 1;
+    console.log(`🔗 ${DRY_RUN ? 'Would link' : 'Linked'} "${course.title}" to "${member.name}"`);
+  }
+
+  console.log(`✅ ${courses.length} course(s) checked, ${created} faculty member(s) ${DRY_RUN ? 'to create' : 'created'}, ${linked} course(s) ${DRY_RUN ? 'to link' : 'linked'}`);
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Instructor migration failed:', error);
+  process.exit(1);
+});
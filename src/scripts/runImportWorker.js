@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { drainJobs, startJobRunner } = require('../services/jobRunner');
+
+// Usage: node src/scripts/runImportWorker.js [--watch]
+// Runs the queued gallery and topper imports, then exits. With --watch it
+// keeps polling for new jobs. Serverless deployments cannot run imports
+// after the response, so run this on a schedule or as a separate process.
+const watch = process.argv.slice(2).includes('--watch');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB Connected for import worker');
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  if (watch) {
+    startJobRunner();
+    return;
+  }
+
+  await drainJobs();
+  console.log('✅ Import queue is empty');
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Import worker failed:', error);
+  process.exit(1);
+});
@@ -28,7 +28,7 @@ const seedAdmin = async () => {
         email: 'admin@mastersacademy.com',
         password: 'admin123',
         role: 'super-admin',
-        permissions: ['courses', 'toppers', 'achievements', 'gallery', 'contacts', 'home', 'users']
+        permissions: ['courses', 'toppers', 'achievements', 'gallery', 'contacts', 'enrollments', 'home', 'media', 'users']
       });
       console.log('✅ Admin user created');
     } else {
@@ -181,7 +181,7 @@ const seedToppers = async () => {
         year: 2023,
         score: '324/360',
         rank: 'AIR 15',
-        course: 'JEE Main & Advanced',
+        courseTitle: 'JEE Main & Advanced Preparation',
         testimonial: 'Masters Academy provided me with the perfect environment and guidance to achieve my dream of getting into IIT.',
         featured: true
       },
@@ -193,7 +193,7 @@ const seedToppers = async () => {
         year: 2023,
         score: '695/720',
         rank: 'AIR 25',
-        course: 'NEET Preparation',
+        courseTitle: 'NEET Preparation Course',
         testimonial: 'The faculty at Masters Academy helped me understand complex concepts easily and build confidence.',
         featured: true
       },
@@ -205,15 +205,17 @@ const seedToppers = async () => {
         year: 2023,
         score: '98.2%',
         rank: 'School Topper',
-        course: 'Class 12 CBSE',
+        courseTitle: 'Class 12 CBSE',
         testimonial: 'The systematic approach and regular tests helped me achieve excellent results in board exams.'
       }
     ];
 
-    for (const topper of toppers) {
+    for (const { courseTitle, ...topper } of toppers) {
       const exists = await Topper.findOne({ name: topper.name, year: topper.year });
       if (!exists) {
-        await Topper.create(topper);
+        // Link seeded courses; other courses are kept by name
+        const course = await Course.findOne({ title: courseTitle }).select('_id');
+        await Topper.create(course ? { ...topper, course: course._id } : { ...topper, courseName: courseTitle });
         console.log(`✅ Created topper: ${topper.name}`);
       }
     }
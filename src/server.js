@@ -6,13 +6,22 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 const courseRoutes = require('./routes/courseRoutes');
 const topperRoutes = require('./routes/topperRoutes');
 const achievementRoutes = require('./routes/achievementRoutes');
 const contactRoutes = require('./routes/contactRoutes');
+const enrollmentRoutes = require('./routes/enrollmentRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const facultyRoutes = require('./routes/facultyRoutes');
 const homeRoutes = require('./routes/homeRoutes');
 const galleryRoutes = require('./routes/galleryRoutes');
 const { errorHandler } = require('./middlewares/errorMiddleware');
+const { getStorage } = require('./services/storage');
 
 const app = express();
 
@@ -124,6 +133,17 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serve files stored by the local storage backend
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use(storage.mountPath, express.static(storage.directory, {
+    setHeaders: (res) => {
+      // Images are embedded by the frontend on another origin
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // Middleware to ensure DB connection
 app.use(async (req, res, next) => {
   await initializeDB();
@@ -139,6 +159,7 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     cors: 'enabled',
+    storage: storage.name,
     version: '2.0'
   });
 });
@@ -155,12 +176,20 @@ app.get('/', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/toppers', topperRoutes);
 app.use('/api/achievements', achievementRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/faculty', facultyRoutes);
 app.use('/api/home', homeRoutes);
 app.use('/api/gallery', galleryRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,72 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (doc) => {
+  if (!doc) return undefined;
+  // toJSON applies model transforms, e.g. stripping admin password hashes
+  const plain = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const withoutIgnored = (plain) => {
+  if (!plain) return undefined;
+  const copy = { ...plain };
+  IGNORED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Top-level fields whose value differs between two documents
+const diffDocuments = (beforeDoc, afterDoc) => {
+  const before = withoutIgnored(toPlain(beforeDoc)) || {};
+  const after = withoutIgnored(toPlain(afterDoc)) || {};
+  const diff = { before: {}, after: {} };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff.before[field] = before[field];
+      diff.after[field] = after[field];
+    }
+  });
+
+  return diff;
+};
+
+// Record an audit entry. Never throws: a failed audit write is logged but
+// must not fail the request that triggered it. Background jobs pass no
+// request, only the `admin` they act for.
+const recordAudit = async (req, { action, resourceType, resourceId, before, after, admin }) => {
+  try {
+    const actor = admin || (req && req.admin);
+    const entry = {
+      admin: actor ? actor._id : undefined,
+      adminEmail: actor ? actor.email : undefined,
+      action,
+      resourceType,
+      resourceId,
+      ip: (req && req.ip) || '',
+      userAgent: ((req && req.get('user-agent')) || '').slice(0, 300)
+    };
+
+    if (action === 'update') {
+      const diff = diffDocuments(before, after);
+      if (Object.keys(diff.after).length === 0) return null;
+      entry.before = diff.before;
+      entry.after = diff.after;
+    } else {
+      entry.before = withoutIgnored(toPlain(before));
+      entry.after = withoutIgnored(toPlain(after));
+    }
+
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit
+};
@@ -0,0 +1,22 @@
+// Match free-text course names, e.g. from old records or spreadsheets,
+// against catalogue course titles. Names are compared ignoring case,
+// spacing and punctuation.
+const normalizeName = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Also accept a course title that merely extends the given name,
+// e.g. "NEET Preparation" -> "NEET Preparation Course"
+const matchCourse = (courses, name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+
+  const exact = courses.filter(course => normalizeName(course.title) === key);
+  if (exact.length === 1) return exact[0];
+
+  const prefixed = courses.filter(course => normalizeName(course.title).startsWith(`${key} `));
+  return prefixed.length === 1 ? prefixed[0] : null;
+};
+
+module.exports = {
+  normalizeName,
+  matchCourse
+};
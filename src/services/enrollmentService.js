@@ -0,0 +1,146 @@
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const { roundMoney, redeemCoupon, releaseCoupon } = require('./pricingService');
+
+// Allowed moves through the admission pipeline. Rejected applications may
+// be reconsidered; withdrawn ones are final.
+const STATUS_TRANSITIONS = {
+  applied: ['verified', 'rejected', 'withdrawn'],
+  verified: ['admitted', 'rejected', 'withdrawn'],
+  admitted: ['withdrawn'],
+  rejected: ['verified'],
+  withdrawn: []
+};
+
+// Applications that still hold or may claim a place
+const ACTIVE_STATUSES = ['applied', 'verified', 'admitted'];
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Take a seat in a batch. Resolves to null when the batch is full, closed
+// or already over.
+const reserveSeat = (batchId) => {
+  return Batch.findOneAndUpdate(
+    {
+      _id: batchId,
+      isClosed: false,
+      $and: [
+        { $or: [{ endDate: null }, { endDate: { $gte: new Date() } }] },
+        { $expr: { $lt: ['$seatsTaken', '$capacity'] } }
+      ]
+    },
+    { $inc: { seatsTaken: 1 } },
+    { new: true }
+  );
+};
+
+const releaseSeat = (batchId) => {
+  return Batch.updateOne({ _id: batchId, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+};
+
+// Price an application without its coupon, e.g. once the coupon ran out
+// while the application was rejected
+const removeCoupon = (enrollment) => {
+  const { pricing } = enrollment;
+  pricing.coupon = undefined;
+  pricing.couponCode = undefined;
+  pricing.couponDiscount = 0;
+  pricing.couponRedeemed = false;
+  pricing.finalPrice = roundMoney(pricing.price - (pricing.courseDiscount || 0));
+};
+
+// Course.enrollmentCount is the number of admitted applications
+const refreshEnrollmentCount = async (courseId) => {
+  const count = await Enrollment.countDocuments({ course: courseId, status: 'admitted' });
+  await Course.updateOne({ _id: courseId }, { $set: { enrollmentCount: count } });
+  return count;
+};
+
+// Move an application to a new status, keeping batch seats and the course's
+// enrollment count in step. Resolves to { enrollment } or { error, statusCode }.
+const changeEnrollmentStatus = async (enrollment, status, { admin, note } = {}) => {
+  if (!canTransition(enrollment.status, status)) {
+    return {
+      error: `Cannot move an application from ${enrollment.status} to ${status}`,
+      statusCode: 400
+    };
+  }
+
+  const admitting = status === 'admitted';
+  const leavingAdmitted = enrollment.status === 'admitted';
+  const couponId = enrollment.pricing ? enrollment.pricing.coupon : undefined;
+  const couponRedeemed = Boolean(couponId && enrollment.pricing.couponRedeemed);
+  // A coupon use is held while the application is active: taken on
+  // submission or when a rejected application is reconsidered, given back
+  // on rejection or withdrawal
+  const active = ACTIVE_STATUSES.includes(status);
+  let redeemingCoupon = active && Boolean(couponId) && !couponRedeemed;
+  const releasingCoupon = !active && couponRedeemed;
+
+  if (admitting && enrollment.batch) {
+    const batch = await reserveSeat(enrollment.batch);
+    if (!batch) {
+      return {
+        error: 'The selected batch has no seats left or is closed',
+        statusCode: 409
+      };
+    }
+  }
+
+  let couponNote;
+  if (redeemingCoupon && !(await redeemCoupon(couponId))) {
+    couponNote = `Coupon ${enrollment.pricing.couponCode} has reached its usage limit; priced without it`;
+    redeemingCoupon = false;
+    removeCoupon(enrollment);
+  }
+
+  enrollment.status = status;
+  enrollment.statusHistory.push({
+    status,
+    note: [couponNote, note].filter(Boolean).join('. ').slice(0, 500) || undefined,
+    changedBy: admin ? admin._id : undefined
+  });
+  if (redeemingCoupon) enrollment.pricing.couponRedeemed = true;
+  if (releasingCoupon) enrollment.pricing.couponRedeemed = false;
+
+  try {
+    await enrollment.save();
+  } catch (error) {
+    if (admitting && enrollment.batch) await releaseSeat(enrollment.batch);
+    if (redeemingCoupon) await releaseCoupon(couponId);
+    throw error;
+  }
+
+  if (leavingAdmitted && enrollment.batch) {
+    await releaseSeat(enrollment.batch);
+  }
+  if (releasingCoupon) {
+    await releaseCoupon(couponId);
+  }
+  if (admitting || leavingAdmitted) {
+    await refreshEnrollmentCount(enrollment.course);
+  }
+
+  return { enrollment };
+};
+
+// Undo the coupon use, seat and count an application holds when it is
+// being deleted
+const releaseEnrollment = async (enrollment) => {
+  if (enrollment.pricing && enrollment.pricing.coupon && enrollment.pricing.couponRedeemed) {
+    await releaseCoupon(enrollment.pricing.coupon);
+  }
+  if (enrollment.status !== 'admitted') return;
+
+  if (enrollment.batch) await releaseSeat(enrollment.batch);
+  await refreshEnrollmentCount(enrollment.course);
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  ACTIVE_STATUSES,
+  changeEnrollmentStatus,
+  releaseEnrollment,
+  refreshEnrollmentCount
+};
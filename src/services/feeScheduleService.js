@@ -0,0 +1,49 @@
+const { DAY_MS, roundMoney, basePrice } = require('./pricingService');
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// A one-time plan is a single payment due on the start date
+const instalmentsOf = (plan) => {
+  if (plan.type === 'one-time') return [{ label: 'Full payment', share: 100, dueAfterDays: 0 }];
+  return plan.instalments;
+};
+
+// Lay out what is due when under a fee plan for a course starting on the
+// given date. Amounts are split by share; the last instalment absorbs the
+// rounding so the instalments always add up to the tuition fee.
+const buildFeeSchedule = (course, plan, startDate) => {
+  const tuition = basePrice(course);
+  const parts = instalmentsOf(plan);
+  const graceDays = plan.lateFee ? plan.lateFee.graceDays || 0 : 0;
+
+  let allocated = 0;
+  const instalments = parts.map((part, index) => {
+    const amount = index === parts.length - 1
+      ? roundMoney(tuition - allocated)
+      : roundMoney(tuition * part.share / 100);
+    allocated = roundMoney(allocated + amount);
+
+    const dueDate = addDays(startDate, part.dueAfterDays);
+    return {
+      number: index + 1,
+      label: part.label || `Instalment ${index + 1}`,
+      amount,
+      dueDate,
+      lateFeeFrom: plan.lateFee ? addDays(dueDate, graceDays + 1) : undefined
+    };
+  });
+
+  return {
+    plan: plan._id,
+    name: plan.name,
+    type: plan.type,
+    startDate,
+    registrationFee: plan.registrationFee || 0,
+    tuition,
+    total: roundMoney(tuition + (plan.registrationFee || 0)),
+    instalments,
+    lateFee: plan.lateFee
+  };
+};
+
+module.exports = { buildFeeSchedule };
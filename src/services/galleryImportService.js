@@ -0,0 +1,257 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const Gallery = require('../models/Gallery');
+const { storeImage, removeStoredImage, syncImageUsage } = require('./imageService');
+const { createMedia } = require('./mediaService');
+const { recordAudit } = require('./auditService');
+const { queueImportJob } = require('./importQueue');
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES, 10) || 500;
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+
+// "annual-day_01.jpg" -> "Annual Day 01"
+const titleFromFileName = (name) => {
+  return path.parse(name).name
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, char => char.toUpperCase())
+    .slice(0, 100);
+};
+
+const parseTags = (tags) => {
+  if (!tags) return undefined;
+  if (Array.isArray(tags)) return tags.map(String);
+  return String(tags).split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+};
+
+// Manifest rows keyed by lower-cased file name. CSV needs a header row; JSON
+// is an array of objects. The file column may be called "file" or "filename".
+const parseManifest = (name, content) => {
+  const rows = name.endsWith('.json')
+    ? JSON.parse(content)
+    : parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+
+  if (!Array.isArray(rows)) {
+    throw new Error('Manifest must be a list of rows');
+  }
+
+  const manifest = new Map();
+  rows.forEach((row) => {
+    const file = row.file || row.filename;
+    if (file) manifest.set(path.posix.basename(String(file)).toLowerCase(), row);
+  });
+
+  return manifest;
+};
+
+// Split an archive into importable images, the optional manifest and the
+// entries that were skipped
+const readArchive = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error('The uploaded file is not a valid ZIP archive');
+  }
+
+  const images = [];
+  const skipped = [];
+  let manifest = new Map();
+
+  for (const entry of entries) {
+    const name = path.posix.basename(entry.entryName);
+    if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/') || name.startsWith('.')) continue;
+
+    if (MANIFEST_NAMES.includes(name.toLowerCase())) {
+      try {
+        manifest = parseManifest(name.toLowerCase(), entry.getData().toString('utf8'));
+      } catch (error) {
+        throw new Error(`Could not read ${name}: ${error.message}`);
+      }
+      continue;
+    }
+
+    const mimetype = IMAGE_TYPES[path.extname(name).toLowerCase()];
+    if (!mimetype) {
+      skipped.push({ file: entry.entryName, status: 'skipped', error: 'Not a supported image type' });
+    } else if (entry.header.size > MAX_IMAGE_BYTES) {
+      skipped.push({ file: entry.entryName, status: 'failed', error: 'File too large. Maximum size is 5MB' });
+    } else {
+      images.push({ entry, name, mimetype });
+    }
+  }
+
+  if (images.length > MAX_FILES) {
+    throw new Error(`An archive may contain at most ${MAX_FILES} images`);
+  }
+
+  images.sort((a, b) => a.entry.entryName.localeCompare(b.entry.entryName, undefined, { numeric: true }));
+
+  return { images, manifest, skipped };
+};
+
+// Store one archive image and record it in the media library
+const storeArchiveImage = async ({ entry, name, mimetype }, admin, { rules = 'gallery' } = {}) => {
+  const file = { buffer: entry.getData(), mimetype, originalname: name };
+  const asset = await storeImage(file, { rules });
+  if (!asset || !asset.url) {
+    throw new Error('Upload failed - no URL returned');
+  }
+
+  try {
+    await createMedia(asset, { file, admin });
+  } catch (error) {
+    await removeStoredImage(asset.url);
+    throw error;
+  }
+
+  return asset;
+};
+
+const addResult = (job, result) => {
+  job.results.push(result);
+  if (result.status === 'created') job.succeeded += 1;
+  if (result.status === 'failed') job.failed += 1;
+};
+
+// One gallery item per image, metadata from the manifest row or the defaults
+const importItems = async (job, images, manifest, admin) => {
+  const defaults = job.options.defaults || {};
+
+  for (const image of images) {
+    const row = manifest.get(image.name.toLowerCase()) || {};
+    let asset;
+
+    try {
+      asset = await storeArchiveImage(image, admin);
+
+      const item = await Gallery.create({
+        title: row.title || defaults.title || titleFromFileName(image.name),
+        description: row.description || defaults.description,
+        category: row.category || defaults.category,
+        date: row.date || defaults.date,
+        tags: parseTags(row.tags) || defaults.tags,
+        image: asset.url,
+        imageMeta: asset.placeholder
+      });
+
+      await syncImageUsage(undefined, item.image, { resourceType: 'Gallery', resourceId: item._id, field: 'image' });
+      await recordAudit(null, { action: 'create', resourceType: 'Gallery', resourceId: item._id, after: item, admin });
+      addResult(job, { file: image.entry.entryName, status: 'created', resourceId: item._id });
+    } catch (error) {
+      if (asset) await removeStoredImage(asset.url);
+      addResult(job, { file: image.entry.entryName, status: 'failed', error: error.message });
+    }
+
+    await job.save();
+  }
+};
+
+// A single album holding every image; manifest rows supply captions
+const importAlbum = async (job, images, manifest, admin) => {
+  const defaults = job.options.defaults || {};
+  const photos = [];
+
+  for (const image of images) {
+    const row = manifest.get(image.name.toLowerCase()) || {};
+    try {
+      const asset = await storeArchiveImage(image, admin);
+      photos.push({
+        file: image.entry.entryName,
+        url: asset.url,
+        meta: asset.placeholder,
+        caption: row.caption || row.title,
+        altText: row.altText || row.caption || row.title || defaults.title
+      });
+    } catch (error) {
+      addResult(job, { file: image.entry.entryName, status: 'failed', error: error.message });
+    }
+  }
+
+  if (photos.length === 0) return;
+
+  try {
+    const album = new Gallery({
+      title: defaults.title,
+      description: defaults.description,
+      category: defaults.category,
+      date: defaults.date,
+      tags: defaults.tags,
+      image: photos[0].url,
+      photos: photos.map(({ url, meta, caption, altText }) => ({ url, meta, caption, altText }))
+    });
+    album.setCover(album.photos[0]);
+    await album.save();
+
+    for (const photo of album.photos) {
+      await syncImageUsage(undefined, photo.url, { resourceType: 'Gallery', resourceId: album._id, field: 'photos' });
+    }
+    await syncImageUsage(undefined, album.image, { resourceType: 'Gallery', resourceId: album._id, field: 'image' });
+    await recordAudit(null, { action: 'create', resourceType: 'Gallery', resourceId: album._id, after: album, admin });
+
+    photos.forEach(photo => addResult(job, { file: photo.file, status: 'created', resourceId: album._id }));
+  } catch (error) {
+    for (const photo of photos) {
+      await removeStoredImage(photo.url);
+      addResult(job, { file: photo.file, status: 'failed', error: `Album could not be saved: ${error.message}` });
+    }
+  }
+};
+
+// Run a claimed gallery job; `admin` is the account that queued it
+const processGalleryImport = async (job, { archive }, admin) => {
+  try {
+    const { images, manifest, skipped } = readArchive(archive.buffer);
+
+    job.total = images.length + skipped.length;
+    skipped.forEach(result => addResult(job, result));
+    await job.save();
+
+    if (job.options.mode === 'album') {
+      await importAlbum(job, images, manifest, admin);
+    } else {
+      await importItems(job, images, manifest, admin);
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  console.log(`📦 Gallery import ${job._id} ${job.status}: ${job.succeeded} created, ${job.failed} failed`);
+};
+
+// Store the archive and queue the import; the worker reports progress on
+// the job after every file
+const queueGalleryImport = ({ archive, options }, admin) => {
+  return queueImportJob({
+    type: 'gallery',
+    files: { archive },
+    fileName: archive.originalname,
+    options,
+    admin
+  });
+};
+
+module.exports = {
+  readArchive,
+  storeArchiveImage,
+  addResult,
+  processGalleryImport,
+  queueGalleryImport
+};
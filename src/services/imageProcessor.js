@@ -0,0 +1,114 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { getImageRules } = require('../config/imageRules');
+
+// Signatures of the formats we accept. SVG is deliberately absent: it is
+// XML that can carry scripts, so it is never stored.
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', format: 'jpeg', test: buf => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimetype: 'image/png', format: 'png', test: buf => buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimetype: 'image/gif', format: 'gif', test: buf => buf.length > 6 && /^GIF8[79]a$/.test(buf.toString('ascii', 0, 6)) },
+  { mimetype: 'image/webp', format: 'webp', test: buf => buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Work out the real type of an upload from its first bytes, ignoring the
+// client-supplied mimetype
+const sniffImageType = (buffer) => {
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? { mimetype: match.mimetype, format: match.format } : null;
+};
+
+// Throws when the dimensions fall outside a resource's rule set
+const checkDimensions = (width, height, ruleSet) => {
+  const rules = getImageRules(ruleSet);
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    throw new Error(`Image must be at least ${rules.minWidth}x${rules.minHeight}px (got ${width}x${height}px)`);
+  }
+  if (width > rules.maxWidth || height > rules.maxHeight) {
+    throw new Error(`Image must be at most ${rules.maxWidth}x${rules.maxHeight}px (got ${width}x${height}px)`);
+  }
+};
+
+// Displayed size: orientations 5-8 swap width and height once applied, and
+// animations report the height of all frames stacked
+const orientedSize = (metadata) => {
+  const height = metadata.pageHeight || metadata.height;
+  return metadata.orientation >= 5
+    ? { width: height, height: metadata.width }
+    : { width: metadata.width, height };
+};
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+
+// Blurhash, dominant colour and intrinsic size of an image, used by clients
+// to paint a placeholder before the image loads. Only the first frame of an
+// animation is looked at.
+const computePlaceholder = async (buffer) => {
+  const image = sharp(buffer).rotate();
+  const { width, height } = orientedSize(await image.metadata());
+
+  const [{ data, info }, stats] = await Promise.all([
+    image.clone()
+      .ensureAlpha()
+      .resize(32, 32, { fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true }),
+    image.clone().stats()
+  ]);
+
+  // More components along the longer side
+  const [componentsX, componentsY] = info.width >= info.height ? [4, 3] : [3, 4];
+
+  return {
+    blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, componentsX, componentsY),
+    dominantColor: toHex(stats.dominant),
+    width,
+    height
+  };
+};
+
+// Validate an uploaded image and re-encode it without metadata. EXIF
+// orientation is applied first so stripping it does not rotate the photo;
+// GPS positions, camera details and embedded profiles are dropped.
+// Resolves to { buffer, mimetype, width, height, placeholder }; a failed
+// placeholder leaves `placeholder` null rather than failing the upload.
+const prepareImage = async (file, { rules = 'default' } = {}) => {
+  const type = sniffImageType(file.buffer);
+  if (!type) {
+    throw new Error('Unsupported image type. Allowed types are JPEG, PNG, GIF and WebP');
+  }
+
+  let image;
+  let metadata;
+  try {
+    image = sharp(file.buffer, { animated: type.format === 'gif' || type.format === 'webp' });
+    metadata = await image.metadata();
+  } catch (error) {
+    throw new Error('The file could not be read as an image');
+  }
+
+  const { width, height } = orientedSize(metadata);
+  checkDimensions(width, height, rules);
+
+  const buffer = await image
+    .rotate()
+    .toFormat(type.format, type.format === 'jpeg' ? { quality: 90 } : {})
+    .toBuffer();
+
+  let placeholder = null;
+  try {
+    placeholder = await computePlaceholder(buffer);
+  } catch (error) {
+    console.error('❌ Could not compute image placeholder:', error.message);
+  }
+
+  return { buffer, mimetype: type.mimetype, width, height, placeholder };
+};
+
+module.exports = {
+  sniffImageType,
+  checkDimensions,
+  computePlaceholder,
+  prepareImage
+};
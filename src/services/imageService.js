@@ -0,0 +1,66 @@
+const { uploadImage, deleteImage, extractPublicId } = require('./storage');
+const { findMediaByUrl, linkMedia, unlinkMedia } = require('./mediaService');
+const { prepareImage } = require('./imageProcessor');
+
+// Validate a multer file against a resource's image rules, strip its
+// metadata and upload it to the storage backend
+const storeImage = async (file, { rules } = {}) => {
+  const image = await prepareImage(file, { rules });
+  const asset = await uploadImage(image.buffer, { mimetype: image.mimetype });
+
+  return {
+    ...asset,
+    width: asset.width || image.width,
+    height: asset.height || image.height,
+    mimeType: image.mimetype,
+    placeholder: image.placeholder
+  };
+};
+
+// Delete a stored image and its media record by URL. The media record holds
+// the exact public ID; URL parsing is only a fallback for untracked images.
+// Failures are logged, never thrown, so cleanup cannot fail a request whose
+// database write already succeeded.
+const removeStoredImage = async (url) => {
+  if (!url) return;
+
+  try {
+    const media = await findMediaByUrl(url);
+    await deleteImage(media ? media.publicId : extractPublicId(url));
+    if (media) await media.deleteOne();
+  } catch (error) {
+    console.error('❌ Could not remove stored image:', url, error.message);
+  }
+};
+
+// Drop one usage of an image; delete the asset once nothing uses it, unless
+// it belongs to the media library
+const releaseImage = async (url, usage) => {
+  const media = await unlinkMedia(url, usage);
+
+  if (!media) {
+    await removeStoredImage(url);
+  } else if (media.source === 'upload' && media.usages.length === 0) {
+    await removeStoredImage(url);
+  }
+};
+
+// Keep media usages in step after a document's image field changed from
+// `previousUrl` to `currentUrl` (either may be empty on create/delete).
+// Call it only after the document was saved.
+const syncImageUsage = async (previousUrl, currentUrl, usage) => {
+  if (previousUrl === currentUrl) return;
+
+  try {
+    if (currentUrl) await linkMedia(currentUrl, usage);
+    if (previousUrl) await releaseImage(previousUrl, usage);
+  } catch (error) {
+    console.error('❌ Could not update media usage:', error.message);
+  }
+};
+
+module.exports = {
+  storeImage,
+  removeStoredImage,
+  syncImageUsage
+};
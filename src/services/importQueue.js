@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+
+// Uploaded import files are kept in GridFS until their job has run, so a
+// worker in another process (or a later function invocation) can read them
+const BUCKET_NAME = 'imports';
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+const saveImportFile = (field, { buffer, originalname }) => {
+  return new Promise((resolve, reject) => {
+    const stream = getBucket().openUploadStream(originalname, { metadata: { field } });
+    stream.on('error', reject);
+    stream.on('finish', () => resolve({ field, name: originalname, fileId: stream.id, size: buffer.length }));
+    stream.end(buffer);
+  });
+};
+
+const readImportFile = (fileId) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    getBucket().openDownloadStream(fileId)
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+// The stored files of a job keyed by upload field, shaped like multer files
+const loadImportFiles = async (job) => {
+  const files = {};
+  for (const upload of job.uploads) {
+    files[upload.field] = { buffer: await readImportFile(upload.fileId), originalname: upload.name };
+  }
+  return files;
+};
+
+const removeImportFiles = async (job) => {
+  for (const upload of job.uploads) {
+    try {
+      await getBucket().delete(upload.fileId);
+    } catch (error) {
+      console.error('❌ Could not remove import file:', upload.name, error.message);
+    }
+  }
+};
+
+// Store the uploaded files and queue a job for the import worker.
+// `files` maps upload fields to multer files; empty fields are left out.
+const queueImportJob = async ({ type, files, fileName, options, admin }) => {
+  const uploads = [];
+
+  try {
+    for (const [field, file] of Object.entries(files)) {
+      if (file) uploads.push(await saveImportFile(field, file));
+    }
+
+    return await ImportJob.create({
+      type,
+      fileName,
+      options,
+      uploads,
+      createdBy: admin ? admin._id : undefined
+    });
+  } catch (error) {
+    await removeImportFiles({ uploads });
+    throw error;
+  }
+};
+
+// Fail jobs whose worker stopped mid-import and drop their stored files
+const failStaleImports = async () => {
+  const jobs = await ImportJob.failStaleJobs();
+  for (const job of jobs) {
+    await removeImportFiles(job);
+  }
+  return jobs;
+};
+
+module.exports = {
+  queueImportJob,
+  loadImportFiles,
+  removeImportFiles,
+  failStaleImports
+};
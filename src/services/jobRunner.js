@@ -0,0 +1,76 @@
+// Import worker. Jobs are queued in the database with their files in
+// GridFS, so any process can run them: the long-running server polls for
+// work itself, serverless deployments run `npm run imports:work` on a
+// schedule or as a separate process. Jobs run one at a time so a large
+// import cannot starve the API of CPU.
+const Admin = require('../models/Admin');
+const ImportJob = require('../models/ImportJob');
+const { loadImportFiles, removeImportFiles, failStaleImports } = require('./importQueue');
+const { processGalleryImport } = require('./galleryImportService');
+const { processTopperImport } = require('./topperImportService');
+
+const POLL_INTERVAL_MS = 5000;
+
+const HANDLERS = {
+  gallery: processGalleryImport,
+  toppers: processTopperImport
+};
+
+let running = false;
+
+// Claim and run the oldest queued job; null when the queue is empty
+const runNextJob = async () => {
+  await failStaleImports();
+
+  const job = await ImportJob.claimNextJob();
+  if (!job) return null;
+
+  try {
+    const handler = HANDLERS[job.type];
+    if (!handler) throw new Error(`No worker for "${job.type}" imports`);
+
+    // The worker acts for the admin who queued the job
+    const admin = job.createdBy ? await Admin.findById(job.createdBy) : null;
+    const files = await loadImportFiles(job);
+
+    await handler(job, files, admin);
+  } catch (error) {
+    console.error(`❌ Import job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date();
+    await job.save();
+  } finally {
+    await removeImportFiles(job);
+  }
+
+  return job;
+};
+
+// Run queued jobs until none are left
+const drainJobs = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let job = await runNextJob();
+    while (job) job = await runNextJob();
+  } catch (error) {
+    console.error('❌ Import worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Poll for queued jobs until the process exits
+const startJobRunner = () => {
+  const timer = setInterval(drainJobs, POLL_INTERVAL_MS);
+  console.log('📦 Import worker started');
+  return timer;
+};
+
+module.exports = {
+  runNextJob,
+  drainJobs,
+  startJobRunner
+};
@@ -0,0 +1,29 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as JSON to MAIL_FILE_DIR (if set) and prints it to
+// the console, so mail flows can be tested without a mail server
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR;
+
+  return {
+    name: directory ? 'file' : 'console',
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      if (directory) {
+        await fs.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${id}.json`);
+        await fs.writeFile(file, JSON.stringify({ id, date: new Date(), ...message }, null, 2));
+        console.log(`📧 Mail to ${message.to} written to ${file}`);
+      } else {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      }
+
+      return { id };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,47 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createFileTransport
+};
+
+let transport;
+
+// MAIL_TRANSPORT picks the transport; without it SMTP is used when
+// configured and the file/console transport otherwise. Production must
+// configure one explicitly: the console transport would log reset links
+// and applicant details.
+const getTransport = () => {
+  if (transport) return transport;
+
+  if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST) {
+    throw new Error('No mail transport configured. Set SMTP_HOST or MAIL_TRANSPORT');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  transport = factory();
+  console.log(`✅ Mail transport: ${transport.name}`);
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Masters Academy <no-reply@mastersacademy.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail
+};
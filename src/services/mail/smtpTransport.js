@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server configured by SMTP_* env vars
+const createSmtpTransport = () => {
+  const required = ['SMTP_HOST', 'SMTP_USER', 'SMTP_PASS'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`SMTP configuration missing: ${missing.join(', ')}`);
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,50 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Masters Academy admin password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset the password for your Masters Academy admin account.',
+    `Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+    '',
+    resetUrl,
+    '',
+    'If you did not request this, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We received a request to reset the password for your Masters Academy admin account.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Choose a new password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+    <p>If you did not request this, you can ignore this email.</p>
+  `
+});
+
+const enrollmentReceivedEmail = ({ name, courseTitle, batchName }) => {
+  const applied = batchName ? `${courseTitle} (${batchName})` : courseTitle;
+
+  return {
+    subject: `We received your application for ${courseTitle}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Thank you for applying to ${applied} at Masters Academy.`,
+      'Our admissions team will review your application and contact you soon.'
+    ].join('\n'),
+    html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Thank you for applying to <strong>${escapeHtml(applied)}</strong> at Masters Academy.</p>
+    <p>Our admissions team will review your application and contact you soon.</p>
+  `
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  enrollmentReceivedEmail
+};
@@ -0,0 +1,116 @@
+const Course = require('../models/Course');
+const Topper = require('../models/Topper');
+const Achievement = require('../models/Achievement');
+const Gallery = require('../models/Gallery');
+const Home = require('../models/Home');
+const Faculty = require('../models/Faculty');
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+
+// Every document field that can hold a stored image URL
+const IMAGE_REFERENCES = [
+  { model: Course, paths: ['image'] },
+  { model: Topper, paths: ['photo'] },
+  { model: Achievement, paths: ['image'] },
+  { model: Gallery, paths: ['image', 'photos.url'] },
+  { model: Home, paths: ['image', 'testimonials.image'] },
+  { model: Faculty, paths: ['photo'] }
+];
+
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+const collectReferencedUrls = async () => {
+  const urls = new Set();
+
+  for (const { model, paths } of IMAGE_REFERENCES) {
+    for (const path of paths) {
+      const values = await model.distinct(path);
+      values.filter(Boolean).forEach(url => urls.add(url));
+    }
+  }
+
+  return urls;
+};
+
+// Public IDs that must be kept: referenced by a document, or part of the
+// media library
+const collectKeptPublicIds = async (storage) => {
+  const urls = await collectReferencedUrls();
+  const kept = new Set();
+
+  const tracked = await Media.find({
+    provider: storage.name,
+    $or: [{ url: { $in: [...urls] } }, { source: 'library' }]
+  }).select('url publicId');
+
+  tracked.forEach((media) => {
+    kept.add(media.publicId);
+    urls.delete(media.url);
+  });
+
+  // Untracked URLs fall back to URL parsing
+  urls.forEach((url) => {
+    const publicId = storage.publicIdFromUrl(url);
+    if (publicId) kept.add(publicId);
+  });
+
+  return kept;
+};
+
+// Find stored assets nothing references. Assets younger than `minAgeHours`
+// are skipped so uploads whose document is still being saved are not reported.
+const findOrphanedMedia = async ({ minAgeHours = DEFAULT_MIN_AGE_HOURS } = {}) => {
+  const storage = getStorage();
+  const cutoff = new Date(Date.now() - minAgeHours * 60 * 60 * 1000);
+
+  const [assets, kept] = await Promise.all([
+    storage.list(),
+    collectKeptPublicIds(storage)
+  ]);
+
+  const orphans = assets.filter(asset => !kept.has(asset.publicId) && asset.createdAt < cutoff);
+
+  return {
+    provider: storage.name,
+    scanned: assets.length,
+    minAgeHours,
+    orphans,
+    totalBytes: orphans.reduce((sum, asset) => sum + (asset.bytes || 0), 0)
+  };
+};
+
+// Delete orphaned assets. When `publicIds` is given only those are deleted,
+// and only if they are still orphaned at the time of the purge.
+const purgeOrphanedMedia = async ({ minAgeHours = DEFAULT_MIN_AGE_HOURS, publicIds } = {}) => {
+  const storage = getStorage();
+  const report = await findOrphanedMedia({ minAgeHours });
+
+  const targets = publicIds
+    ? report.orphans.filter(asset => publicIds.includes(asset.publicId))
+    : report.orphans;
+
+  const deleted = [];
+  const failed = [];
+
+  for (const asset of targets) {
+    try {
+      await storage.delete(asset.publicId);
+      await Media.deleteOne({ provider: storage.name, publicId: asset.publicId });
+      deleted.push(asset.publicId);
+    } catch (error) {
+      failed.push({ publicId: asset.publicId, error: error.message });
+    }
+  }
+
+  return {
+    provider: report.provider,
+    scanned: report.scanned,
+    deleted,
+    failed
+  };
+};
+
+module.exports = {
+  findOrphanedMedia,
+  purgeOrphanedMedia
+};
@@ -0,0 +1,121 @@
+const Media = require('../models/Media');
+const { getStorage } = require('./storage');
+
+// Record a freshly stored asset in the media library
+const createMedia = (asset, { file, admin, source = 'upload', altText = '' } = {}) => {
+  return Media.create({
+    provider: asset.provider,
+    publicId: asset.publicId,
+    url: asset.url,
+    width: asset.width,
+    height: asset.height,
+    bytes: asset.bytes,
+    format: asset.format,
+    variants: asset.variants || undefined,
+    placeholder: asset.placeholder || undefined,
+    mimeType: asset.mimeType || (file ? file.mimetype : undefined),
+    originalName: file ? file.originalname : undefined,
+    altText,
+    source,
+    uploadedBy: admin ? admin._id : undefined
+  });
+};
+
+const findMediaByUrl = (url) => Media.findOne({ url });
+
+// Plain placeholder data of the asset at `url`, or null when unknown
+const placeholderForUrl = async (url) => {
+  if (!url) return null;
+  const media = await Media.findOne({ url }).select('placeholder');
+  return media && media.placeholder ? media.placeholder.toObject() : null;
+};
+
+// Note that a document field uses the asset at `url`
+const linkMedia = (url, usage) => {
+  return Media.updateOne(
+    { url, usages: { $not: { $elemMatch: usage } } },
+    { $push: { usages: usage } }
+  );
+};
+
+// Note that a document field no longer uses the asset at `url`
+const unlinkMedia = (url, usage) => {
+  return Media.findOneAndUpdate(
+    { url },
+    { $pull: { usages: usage } },
+    { new: true }
+  );
+};
+
+// Map of image URL -> variants. Tracked assets use their media record;
+// untracked ones are only covered by backends that transform on demand.
+const variantsForUrls = async (urls) => {
+  const unique = [...new Set(urls.filter(Boolean))];
+  const variants = new Map();
+  if (unique.length === 0) return variants;
+
+  const media = await Media.find({ url: { $in: unique } }).select('url variants');
+  media.forEach((item) => {
+    if (item.variants) variants.set(item.url, item.variants);
+  });
+
+  const storage = getStorage();
+  if (storage.onDemandVariants) {
+    unique.filter(url => !variants.has(url)).forEach((url) => {
+      const publicId = storage.publicIdFromUrl(url);
+      if (publicId) variants.set(url, storage.variantsFor(publicId));
+    });
+  }
+
+  return variants;
+};
+
+// Objects reached by walking `segments` from `root`, stepping into arrays
+const objectsAtPath = (root, segments) => {
+  return segments.reduce((objects, segment) => objects.flatMap((object) => {
+    const value = object[segment];
+    if (Array.isArray(value)) return value.filter(Boolean);
+    return value && typeof value === 'object' ? [value] : [];
+  }), [root]);
+};
+
+// Plain copies of one or more documents with a variants object next to each
+// image field. Paths may go through arrays ('testimonials.image'); variants
+// land in `<field>Variants` beside the field unless `as` names another key,
+// e.g. { path: 'photos.url', as: 'variants' }.
+const withImageVariants = async (docs, paths) => {
+  const list = (Array.isArray(docs) ? docs : [docs])
+    .map(doc => (doc && typeof doc.toJSON === 'function' ? doc.toJSON() : doc));
+
+  const targets = paths.map((spec) => {
+    const { path, as } = typeof spec === 'string' ? { path: spec } : spec;
+    const segments = path.split('.');
+    const field = segments.pop();
+    return { segments, field, key: as || `${field}Variants` };
+  });
+
+  const holders = [];
+  list.filter(Boolean).forEach((doc) => {
+    targets.forEach(({ segments, field, key }) => {
+      objectsAtPath(doc, segments)
+        .filter(object => object[field])
+        .forEach(object => holders.push({ object, field, key }));
+    });
+  });
+
+  const variants = await variantsForUrls(holders.map(({ object, field }) => object[field]));
+  holders.forEach(({ object, field, key }) => {
+    object[key] = variants.get(object[field]) || null;
+  });
+
+  return Array.isArray(docs) ? list : list[0];
+};
+
+module.exports = {
+  createMedia,
+  findMediaByUrl,
+  placeholderForUrl,
+  linkMedia,
+  unlinkMedia,
+  withImageVariants
+};
@@ -0,0 +1,118 @@
+const Coupon = require('../models/Coupon');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Price before coupons. A discount price only counts when it is below the
+// list price, so bad legacy data never raises what a student pays.
+const basePrice = (course) => {
+  const { price, discountPrice } = course;
+  if (discountPrice !== undefined && discountPrice !== null && discountPrice < price) {
+    return discountPrice;
+  }
+  return price;
+};
+
+// Reason a coupon cannot be used for this course and batch, or null
+const couponIneligibility = (coupon, { course, batch, now = new Date() }) => {
+  if (!coupon.isActive) return 'This coupon is no longer active';
+  if (coupon.validFrom && coupon.validFrom > now) return 'This coupon is not valid yet';
+  if (coupon.validUntil && coupon.validUntil < now) return 'This coupon has expired';
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (coupon.courses.length && !coupon.courses.some(id => id.equals(course._id))) {
+    return 'This coupon does not apply to this course';
+  }
+  if (coupon.categories.length && !coupon.categories.includes(course.category)) {
+    return 'This coupon does not apply to this course';
+  }
+  if (coupon.earlyBirdDays) {
+    if (!batch) return 'Choose a batch to use this early-bird coupon';
+    if (batch.startDate.getTime() - now.getTime() < coupon.earlyBirdDays * DAY_MS) {
+      return `This early-bird coupon only applies to batches starting at least ${coupon.earlyBirdDays} days from now`;
+    }
+  }
+  return null;
+};
+
+// Amount taken off by a coupon, never more than the amount itself
+const couponDiscount = (coupon, amount) => {
+  let discount = coupon.discountType === 'percentage'
+    ? amount * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Price a course for an optional coupon code and batch.
+// Resolves to { quote, coupon } or { error, statusCode }.
+const quoteCoursePrice = async (course, { couponCode, batch, now = new Date() } = {}) => {
+  const price = basePrice(course);
+  const quote = {
+    price: course.price,
+    courseDiscount: roundMoney(course.price - price),
+    coupon: null,
+    couponDiscount: 0,
+    finalPrice: price
+  };
+
+  if (!couponCode) return { quote };
+
+  const coupon = await Coupon.findOne({ code: String(couponCode).trim().toUpperCase() });
+  if (!coupon) return { error: 'Invalid coupon code', statusCode: 404 };
+
+  const reason = couponIneligibility(coupon, { course, batch, now });
+  if (reason) return { error: reason, statusCode: 400 };
+
+  const discount = couponDiscount(coupon, price);
+  quote.coupon = {
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discountType,
+    value: coupon.value
+  };
+  quote.couponDiscount = discount;
+  quote.finalPrice = roundMoney(price - discount);
+
+  return { quote, coupon };
+};
+
+// Count one use of a coupon. Resolves to false when the usage limit was
+// reached in the meantime.
+const redeemCoupon = async (couponId) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  return Boolean(coupon);
+};
+
+// Give back a coupon use, e.g. when an admitted application is withdrawn
+const releaseCoupon = (couponId) => {
+  return Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = {
+  DAY_MS,
+  roundMoney,
+  basePrice,
+  couponIneligibility,
+  couponDiscount,
+  quoteCoursePrice,
+  redeemCoupon,
+  releaseCoupon
+};
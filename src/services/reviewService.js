@@ -0,0 +1,19 @@
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+
+// Recompute a course's average rating and review count from its approved
+// reviews. The average is rounded to one decimal place.
+const refreshCourseRating = async (courseId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { course: courseId, status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = summary ? Math.round(summary.average * 10) / 10 : 0;
+  const ratingCount = summary ? summary.count : 0;
+
+  await Course.updateOne({ _id: courseId }, { $set: { rating, ratingCount } });
+  return { rating, ratingCount };
+};
+
+module.exports = { refreshCourseRating };
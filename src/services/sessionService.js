@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const requestContext = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const splitRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// Short-lived access token bound to a session
+const generateAccessToken = (adminId, sessionId) => {
+  return jwt.sign({ id: adminId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const issueTokens = (session, secret) => ({
+  token: generateAccessToken(session.admin, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Start a new session for an admin and return its token pair
+const createSession = async (admin, req) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    admin: admin._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...requestContext(req)
+  });
+
+  return issueTokens(session, secret);
+};
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated token revokes the whole session, since it may have been stolen.
+const rotateSession = async (refreshToken, req) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return { error: 'Invalid refresh token' };
+
+  const session = await Session.findById(parts.sessionId);
+  if (!session || !session.isValid()) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const secret = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashSecret(parts.secret),
+      revokedAt: { $exists: false }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...requestContext(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'Refresh token reuse detected');
+    return { error: 'Refresh token has already been used' };
+  }
+
+  return { session: rotated, tokens: issueTokens(rotated, secret) };
+};
+
+const revokeSession = (sessionId, reason = 'Logged out') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke the session of a refresh token, only when the token's secret
+// matches; the session id alone is not secret
+const revokeRefreshToken = (refreshToken, reason = 'Logged out') => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  return Session.updateOne(
+    {
+      _id: parts.sessionId,
+      refreshTokenHash: hashSecret(parts.secret),
+      revokedAt: { $exists: false }
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every active session of an admin, optionally keeping one
+const revokeAllSessions = (adminId, reason = 'Logged out everywhere', exceptSessionId) => {
+  const query = { admin: adminId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+module.exports = {
+  splitRefreshToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions
+};
@@ -0,0 +1,46 @@
+const Setting = require('../models/Setting');
+
+const SECURITY_KEY = 'security';
+const SECURITY_DEFAULTS = {
+  requireTwoFactor: false
+};
+
+// Settings are read on every authenticated request, so keep a short cache
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const getSetting = async (key, defaults) => {
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const setting = await Setting.findOne({ key }).lean();
+  const value = { ...defaults, ...(setting ? setting.value : {}) };
+
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+const updateSetting = async (key, defaults, changes, adminId) => {
+  const current = await getSetting(key, defaults);
+  const value = { ...current, ...changes };
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: adminId },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  cache.delete(key);
+  return value;
+};
+
+const getSecuritySettings = () => getSetting(SECURITY_KEY, SECURITY_DEFAULTS);
+
+const updateSecuritySettings = (changes, adminId) => {
+  return updateSetting(SECURITY_KEY, SECURITY_DEFAULTS, changes, adminId);
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings
+};
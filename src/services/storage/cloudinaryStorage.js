@@ -0,0 +1,136 @@
+const { getCloudinary } = require('../../config/cloudinary');
+const { IMAGE_VARIANTS, VARIANT_FORMATS } = require('../../config/imageVariants');
+const { buildVariantSet } = require('./variants');
+
+const variantTransformation = ({ width, height, crop }) => ({ width, height, crop, quality: 'auto' });
+
+// Every variant in every format, derived eagerly right after upload
+const eagerTransformations = () => {
+  const eager = [];
+  Object.values(IMAGE_VARIANTS).forEach((spec) => {
+    eager.push(variantTransformation(spec));
+    VARIANT_FORMATS.forEach(format => eager.push({ ...variantTransformation(spec), format }));
+  });
+  return eager;
+};
+
+// Stores files in Cloudinary. Public IDs include the folder, e.g.
+// "masters-academy/abc123". Variants are URL transformations, so they exist
+// for any stored image, including ones uploaded before variants were added.
+const createCloudinaryStorage = () => {
+  const upload = (buffer, { folder = 'masters-academy' } = {}) => {
+    return new Promise((resolve, reject) => {
+      const uploadStream = getCloudinary().uploader.upload_stream(
+        {
+          folder,
+          allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+          transformation: [
+            { width: 1200, height: 800, crop: 'limit', quality: 'auto' }
+          ],
+          eager: eagerTransformations(),
+          eager_async: true
+        },
+        (error, result) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve({
+              provider: 'cloudinary',
+              publicId: result.public_id,
+              url: result.secure_url,
+              width: result.width,
+              height: result.height,
+              bytes: result.bytes,
+              format: result.format,
+              variants: variantsFor(result.public_id)
+            });
+          }
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+  };
+
+  const remove = async (publicId) => {
+    const result = await getCloudinary().uploader.destroy(publicId);
+    return { deleted: result.result === 'ok', result: result.result };
+  };
+
+  const urlFor = (publicId, options = {}) => {
+    return getCloudinary().url(publicId, { secure: true, ...options });
+  };
+
+  const variantsFor = (publicId) => buildVariantSet((name, spec, format) => {
+    return urlFor(publicId, {
+      transformation: [variantTransformation(spec)],
+      ...(format ? { format } : {})
+    });
+  });
+
+  // https://res.cloudinary.com/<cloud>/image/upload/[<transformations>/][v<version>/]<public id>.<ext>
+  const publicIdFromUrl = (url) => {
+    if (typeof url !== 'string' || !url.includes('res.cloudinary.com')) return null;
+
+    const marker = '/upload/';
+    const index = url.indexOf(marker);
+    if (index === -1) return null;
+
+    let segments = url.slice(index + marker.length).split('?')[0].split('/');
+
+    // Everything after the version is the public ID; without a version,
+    // drop leading transformation segments such as "c_limit,w_1200"
+    const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+    if (versionIndex !== -1) {
+      segments = segments.slice(versionIndex + 1);
+    } else {
+      while (segments.length > 1 && /^[a-z]{1,3}_[^,]+(,[a-z]{1,3}_[^,]+)*$/.test(segments[0])) {
+        segments.shift();
+      }
+    }
+
+    const path = segments.join('/');
+    return decodeURIComponent(path.replace(/\.[a-z0-9]+$/i, ''));
+  };
+
+  // List every stored asset under a folder, following pagination cursors
+  const list = async ({ folder = 'masters-academy' } = {}) => {
+    const assets = [];
+    let nextCursor;
+
+    do {
+      const result = await getCloudinary().api.resources({
+        type: 'upload',
+        prefix: `${folder}/`,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+
+      result.resources.forEach((resource) => {
+        assets.push({
+          publicId: resource.public_id,
+          url: resource.secure_url,
+          bytes: resource.bytes,
+          createdAt: new Date(resource.created_at)
+        });
+      });
+
+      nextCursor = result.next_cursor;
+    } while (nextCursor);
+
+    return assets;
+  };
+
+  return {
+    name: 'cloudinary',
+    upload,
+    delete: remove,
+    urlFor,
+    variantsFor,
+    onDemandVariants: true,
+    publicIdFromUrl,
+    list
+  };
+};
+
+module.exports = createCloudinaryStorage;
@@ -0,0 +1,61 @@
+const { hasCloudinaryConfig } = require('../../config/cloudinary');
+const createCloudinaryStorage = require('./cloudinaryStorage');
+const createLocalStorage = require('./localStorage');
+
+const drivers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage
+};
+
+let storage;
+
+// STORAGE_DRIVER picks the backend; without it Cloudinary is used when
+// configured and the local disk otherwise
+const getStorage = () => {
+  if (storage) return storage;
+
+  const name = process.env.STORAGE_DRIVER || (hasCloudinaryConfig() ? 'cloudinary' : 'local');
+  const factory = drivers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  storage = factory();
+  console.log(`✅ Storage backend: ${storage.name}`);
+  return storage;
+};
+
+// Upload an image buffer; resolves to { provider, publicId, url, width, height, bytes, format }
+const uploadImage = (buffer, options = {}) => getStorage().upload(buffer, options);
+
+const deleteImage = async (publicId) => {
+  try {
+    console.log('🗑️ Deleting image:', publicId);
+    const result = await getStorage().delete(publicId);
+    console.log('✅ Image deleted:', result);
+    return result;
+  } catch (error) {
+    console.error('❌ Error deleting image:', error);
+    throw error;
+  }
+};
+
+// Work out the storage public ID of a stored image URL
+const extractPublicId = (url) => {
+  const publicId = getStorage().publicIdFromUrl(url);
+  if (!publicId) {
+    throw new Error(`URL is not managed by the ${getStorage().name} storage backend`);
+  }
+  return publicId;
+};
+
+const urlFor = (publicId, options) => getStorage().urlFor(publicId, options);
+
+module.exports = {
+  getStorage,
+  uploadImage,
+  deleteImage,
+  extractPublicId,
+  urlFor
+};
@@ -0,0 +1,170 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { IMAGE_VARIANTS, VARIANT_FORMATS } = require('../../config/imageVariants');
+const { buildVariantSet } = require('./variants');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Variant files sit next to the original: "<id>__<variant>.<format>"
+const VARIANT_FILE_PATTERN = /__[a-z]+\.[a-z0-9]+$/;
+
+// Variants keep the original format, except GIFs which become PNGs
+const baseVariantFormat = (extension) => (['jpg', 'png', 'webp'].includes(extension) ? extension : 'png');
+
+// Stores files on the local disk and serves them from `mountPath`.
+// Public IDs are paths relative to the upload directory, e.g.
+// "masters-academy/1700000000000-ab12cd34.jpg". Variants are resized with
+// sharp at upload time and removed together with the original.
+const createLocalStorage = () => {
+  const directory = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+  const mountPath = '/uploads';
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL ||
+    `http://localhost:${process.env.PORT || 5000}${mountPath}`).replace(/\/+$/, '');
+
+  // Resolve a public ID to a file path, refusing anything outside the directory
+  const resolvePath = (publicId) => {
+    const file = path.resolve(directory, publicId);
+    if (!file.startsWith(directory + path.sep)) {
+      throw new Error('Invalid public ID');
+    }
+    return file;
+  };
+
+  const variantId = (publicId, name, format) => `${publicId.replace(/\.[a-z0-9]+$/i, '')}__${name}.${format}`;
+
+  // Every variant file a public ID may have
+  const variantIds = (publicId) => {
+    const extension = path.extname(publicId).slice(1);
+    const formats = [baseVariantFormat(extension), ...VARIANT_FORMATS];
+
+    return Object.keys(IMAGE_VARIANTS).flatMap(name => formats.map(format => variantId(publicId, name, format)));
+  };
+
+  const variantsFor = (publicId) => {
+    const base = baseVariantFormat(path.extname(publicId).slice(1));
+    return buildVariantSet((name, spec, format) => urlFor(variantId(publicId, name, format || base)));
+  };
+
+  const writeVariants = async (publicId, buffer) => {
+    const base = baseVariantFormat(path.extname(publicId).slice(1));
+
+    for (const [name, spec] of Object.entries(IMAGE_VARIANTS)) {
+      const resized = sharp(buffer)
+        .rotate()
+        .resize({
+          width: spec.width,
+          height: spec.height,
+          fit: spec.crop === 'fill' ? 'cover' : 'inside',
+          withoutEnlargement: true
+        });
+
+      for (const format of [base, ...VARIANT_FORMATS]) {
+        const output = await resized.clone().toFormat(format === 'jpg' ? 'jpeg' : format).toBuffer();
+        await fs.writeFile(resolvePath(variantId(publicId, name, format)), output);
+      }
+    }
+  };
+
+  const upload = async (buffer, { folder = 'masters-academy', mimetype } = {}) => {
+    const extension = EXTENSIONS[mimetype] || 'bin';
+    const publicId = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+    const file = resolvePath(publicId);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    // A failed resize leaves the original usable, just without variants
+    let variants = null;
+    try {
+      await writeVariants(publicId, buffer);
+      variants = variantsFor(publicId);
+    } catch (error) {
+      console.error('❌ Could not generate image variants:', publicId, error.message);
+    }
+
+    return {
+      provider: 'local',
+      publicId,
+      url: urlFor(publicId),
+      width: null,
+      height: null,
+      bytes: buffer.length,
+      format: extension,
+      variants
+    };
+  };
+
+  const remove = async (publicId) => {
+    await Promise.all(variantIds(publicId).map(id => fs.unlink(resolvePath(id)).catch(() => {})));
+
+    try {
+      await fs.unlink(resolvePath(publicId));
+      return { deleted: true, result: 'ok' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { deleted: false, result: 'not found' };
+      throw error;
+    }
+  };
+
+  const urlFor = (publicId) => `${baseUrl}/${publicId.split('/').map(encodeURIComponent).join('/')}`;
+
+  const publicIdFromUrl = (url) => {
+    if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+    return decodeURIComponent(url.slice(baseUrl.length + 1).split('?')[0]);
+  };
+
+  // List every stored original under a folder; variants go with their original
+  const list = async ({ folder = 'masters-academy' } = {}) => {
+    const assets = [];
+
+    const walk = async (relative) => {
+      let entries;
+      try {
+        entries = await fs.readdir(resolvePath(relative), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const publicId = `${relative}/${entry.name}`;
+        if (entry.isDirectory()) {
+          await walk(publicId);
+        } else if (entry.isFile() && !VARIANT_FILE_PATTERN.test(entry.name)) {
+          const stats = await fs.stat(resolvePath(publicId));
+          assets.push({
+            publicId,
+            url: urlFor(publicId),
+            bytes: stats.size,
+            createdAt: stats.mtime
+          });
+        }
+      }
+    };
+
+    await walk(folder);
+    return assets;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    mountPath,
+    upload,
+    delete: remove,
+    urlFor,
+    variantsFor,
+    onDemandVariants: false,
+    publicIdFromUrl,
+    list
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,37 @@
+const { IMAGE_VARIANTS, VARIANT_FORMATS } = require('../../config/imageVariants');
+
+// Build the variants object exposed in API responses from a function that
+// returns the URL of one variant in one format (format undefined meaning
+// the original format):
+// {
+//   thumbnail: { width, height, url, webp, avif }, card: {...}, hero: {...},
+//   srcset: { original: 'url 200w, ...', webp: '...', avif: '...' }
+// }
+const buildVariantSet = (urlForVariant) => {
+  const variants = {};
+  const srcset = { original: [] };
+  VARIANT_FORMATS.forEach((format) => { srcset[format] = []; });
+
+  Object.entries(IMAGE_VARIANTS).forEach(([name, spec]) => {
+    const variant = {
+      width: spec.width,
+      height: spec.height,
+      url: urlForVariant(name, spec)
+    };
+    srcset.original.push(`${variant.url} ${spec.width}w`);
+
+    VARIANT_FORMATS.forEach((format) => {
+      variant[format] = urlForVariant(name, spec, format);
+      srcset[format].push(`${variant[format]} ${spec.width}w`);
+    });
+
+    variants[name] = variant;
+  });
+
+  Object.keys(srcset).forEach((key) => { srcset[key] = srcset[key].join(', '); });
+  variants.srcset = srcset;
+
+  return variants;
+};
+
+module.exports = { buildVariantSet };
@@ -0,0 +1,353 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const Topper = require('../models/Topper');
+const Course = require('../models/Course');
+const { readArchive, storeArchiveImage, addResult } = require('./galleryImportService');
+const { removeStoredImage, syncImageUsage } = require('./imageService');
+const { recordAudit } = require('./auditService');
+const { queueImportJob } = require('./importQueue');
+const { normalizeName, matchCourse } = require('./courseMatchService');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+
+// Topper fields a column can be mapped to. Without an explicit mapping a
+// column is used when its header matches one of the field's names.
+const COLUMN_NAMES = {
+  name: ['name', 'student', 'student name'],
+  exam: ['exam', 'exam name'],
+  year: ['year'],
+  score: ['score', 'marks', 'percentage'],
+  rank: ['rank', 'air'],
+  achievement: ['achievement'],
+  course: ['course', 'course name'],
+  testimonial: ['testimonial'],
+  photo: ['photo', 'photo file', 'image'],
+  featured: ['featured']
+};
+
+// Fields every row needs, from a column or a default for the whole sheet
+const REQUIRED_FIELDS = ['name', 'exam', 'year', 'score', 'achievement', 'course'];
+const DEFAULT_FIELDS = ['exam', 'year', 'achievement', 'course'];
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// Header and data rows of the first sheet, each row with its number in the
+// file so errors can point at it
+const readSheet = async ({ buffer, originalname }) => {
+  let records;
+
+  if (path.extname(originalname).toLowerCase() === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new Error('The uploaded file is not a valid XLSX workbook');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) throw new Error('The workbook has no sheets');
+
+    records = [];
+    worksheet.eachRow((row, number) => {
+      const values = [];
+      for (let column = 1; column <= worksheet.columnCount; column++) {
+        values.push(row.getCell(column).text);
+      }
+      records.push({ number, values });
+    });
+  } else {
+    try {
+      records = parse(buffer, { bom: true, relax_column_count: true })
+        .map((values, index) => ({ number: index + 1, values }));
+    } catch (error) {
+      throw new Error(`Could not read the CSV file: ${error.message}`);
+    }
+  }
+
+  records = records
+    .map(({ number, values }) => ({ number, values: values.map(value => String(value || '').trim()) }))
+    .filter(({ values }) => values.some(Boolean));
+
+  if (records.length < 2) throw new Error('The spreadsheet needs a header row and at least one data row');
+  if (records.length - 1 > MAX_ROWS) throw new Error(`A spreadsheet may contain at most ${MAX_ROWS} rows`);
+
+  const [header, ...rows] = records;
+  return { headers: header.values, rows };
+};
+
+// Column index for each topper field, from the mapping (field -> header)
+// or the header names
+const resolveColumns = (headers, mapping = {}, defaults = {}) => {
+  const keys = headers.map(normalizeName);
+  const columns = {};
+
+  for (const [field, names] of Object.entries(COLUMN_NAMES)) {
+    const index = mapping[field]
+      ? keys.indexOf(normalizeName(mapping[field]))
+      : keys.findIndex(key => names.includes(key));
+
+    if (mapping[field] && index === -1) {
+      return { error: `Column "${mapping[field]}" not found in the spreadsheet` };
+    }
+    if (index !== -1) columns[field] = index;
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined && !defaults[field]);
+  if (missing.length > 0) {
+    return { error: `No column found for: ${missing.join(', ')}` };
+  }
+
+  return { columns };
+};
+
+// Parse the spreadsheet and work out its columns; the cheap checks that
+// decide whether an upload can be imported at all
+const readImportTable = async (sheet, { mapping, defaults } = {}) => {
+  let table;
+  try {
+    table = await readSheet(sheet);
+  } catch (error) {
+    return { error: error.message, statusCode: 400 };
+  }
+
+  const { columns, error } = resolveColumns(table.headers, mapping, defaults);
+  if (error) return { error, statusCode: 400 };
+
+  return { ...table, columns };
+};
+
+// Archive images by lower-cased file name and by normalized name without
+// the extension, so "Priya Sharma" finds "priya-sharma.jpg"
+const indexPhotos = (images) => {
+  const byFile = new Map();
+  const byStem = new Map();
+
+  images.forEach((image) => {
+    byFile.set(image.name.toLowerCase(), image);
+    byStem.set(normalizeName(path.parse(image.name).name), image);
+  });
+
+  return {
+    find: value => byFile.get(path.posix.basename(value.replace(/\\/g, '/')).toLowerCase())
+      || byStem.get(normalizeName(path.parse(value).name))
+  };
+};
+
+const duplicateKey = ({ name, exam, year }) => [normalizeName(name), normalizeName(exam), year].join('|');
+
+// Turn one spreadsheet row into topper data, collecting every problem
+// instead of stopping at the first
+const checkRow = async (record, { columns, defaults, courses, photos, hasArchive }) => {
+  const cell = field => (columns[field] === undefined ? '' : record.values[columns[field]] || '');
+  const value = field => cell(field) || (DEFAULT_FIELDS.includes(field) && defaults[field] ? String(defaults[field]) : '');
+  const errors = [];
+
+  const data = {
+    name: value('name') || undefined,
+    exam: value('exam') || undefined,
+    score: value('score') || undefined,
+    rank: value('rank') || undefined,
+    achievement: value('achievement') || undefined,
+    testimonial: value('testimonial') || undefined
+  };
+
+  const year = value('year');
+  if (year && !/^\d{4}$/.test(year)) {
+    errors.push({ field: 'year', message: 'Year must be a valid year' });
+  } else if (year) {
+    data.year = Number(year);
+  }
+
+  if (cell('featured')) data.featured = TRUE_VALUES.includes(cell('featured').toLowerCase());
+
+  // A catalogue course by id or title, otherwise kept as a course name
+  const courseValue = value('course');
+  let course;
+  if (OBJECT_ID_PATTERN.test(courseValue)) {
+    course = courses.find(item => item._id.equals(courseValue));
+    if (!course) errors.push({ field: 'course', message: 'Course not found' });
+  } else if (courseValue) {
+    course = matchCourse(courses, courseValue);
+  }
+  if (course) {
+    data.course = course._id;
+  } else if (courseValue && !OBJECT_ID_PATTERN.test(courseValue)) {
+    data.courseName = courseValue;
+  }
+
+  const photoName = cell('photo');
+  const photo = photos.find(photoName || data.name || '');
+  if (!photo) {
+    let message = 'Student photo is required';
+    if (photoName && hasArchive) message = `No photo named "${photoName}" in the ZIP archive`;
+    else if (hasArchive) message = 'No photo in the ZIP archive matches the student name';
+    errors.push({ field: 'photo', message });
+  }
+
+  try {
+    await new Topper(data).validate({ pathsToSkip: ['photo'] });
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    Object.values(error.errors)
+      .filter(err => !errors.some(existing => existing.field === err.path))
+      .forEach(err => errors.push({ field: err.path, message: err.message }));
+  }
+
+  return {
+    row: record.number,
+    status: errors.length > 0 ? 'invalid' : 'valid',
+    data,
+    courseTitle: course ? course.title : undefined,
+    photo,
+    errors
+  };
+};
+
+// Check every row of an upload against the Topper schema, the course
+// catalogue, the photos and the existing toppers
+const prepareTopperImport = async ({ sheet, archive }, options = {}) => {
+  const defaults = options.defaults || {};
+  const table = await readImportTable(sheet, options);
+  if (table.error) return table;
+
+  let images = [];
+  if (archive) {
+    try {
+      images = readArchive(archive.buffer).images;
+    } catch (error) {
+      return { error: error.message, statusCode: 400 };
+    }
+  }
+
+  const courses = await Course.find().select('title');
+  const existing = await Topper.find().select('name exam year');
+  const seen = new Map(existing.map(topper => [duplicateKey(topper), null]));
+  const context = { columns: table.columns, defaults, courses, photos: indexPhotos(images), hasArchive: Boolean(archive) };
+
+  const rows = [];
+  for (const record of table.rows) {
+    const row = await checkRow(record, context);
+
+    const key = duplicateKey(row.data);
+    if (row.status === 'valid' && seen.has(key)) {
+      const firstRow = seen.get(key);
+      row.status = 'duplicate';
+      row.errors.push({
+        field: 'name',
+        message: firstRow ? `Same topper as row ${firstRow}` : 'A topper with this name, exam and year already exists'
+      });
+    } else if (row.status === 'valid') {
+      seen.set(key, row.row);
+    }
+
+    rows.push(row);
+  }
+
+  return { headers: table.headers, columns: table.columns, rows };
+};
+
+const countRows = (rows, status) => rows.filter(row => row.status === status).length;
+
+// What an import would do, without creating anything
+const previewTopperImport = async (files, options) => {
+  const prepared = await prepareTopperImport(files, options);
+  if (prepared.error) return prepared;
+
+  const { headers, columns, rows } = prepared;
+
+  return {
+    columns: Object.fromEntries(Object.keys(COLUMN_NAMES).map(field => [
+      field,
+      columns[field] === undefined ? null : headers[columns[field]]
+    ])),
+    total: rows.length,
+    valid: countRows(rows, 'valid'),
+    invalid: countRows(rows, 'invalid'),
+    duplicates: countRows(rows, 'duplicate'),
+    rows: rows.map(({ row, status, data, courseTitle, photo, errors }) => ({
+      row,
+      status,
+      data,
+      courseTitle,
+      photo: photo ? photo.entry.entryName : null,
+      errors
+    }))
+  };
+};
+
+const errorText = errors => errors.map(error => error.message).join(', ');
+
+// Run a claimed topper job; `admin` is the account that queued it
+const processTopperImport = async (job, files, admin) => {
+  try {
+    const prepared = await prepareTopperImport(files, job.options);
+    if (prepared.error) throw new Error(prepared.error);
+
+    job.total = prepared.rows.length;
+    await job.save();
+
+    for (const row of prepared.rows) {
+      const file = row.photo ? row.photo.entry.entryName : undefined;
+
+      if (row.status !== 'valid') {
+        addResult(job, {
+          row: row.row,
+          file,
+          status: row.status === 'duplicate' ? 'skipped' : 'failed',
+          error: errorText(row.errors)
+        });
+        continue;
+      }
+
+      let asset;
+      try {
+        asset = await storeArchiveImage(row.photo, admin, { rules: 'topper' });
+
+        const topper = await Topper.create({ ...row.data, photo: asset.url, photoMeta: asset.placeholder });
+
+        await syncImageUsage(undefined, topper.photo, { resourceType: 'Topper', resourceId: topper._id, field: 'photo' });
+        await recordAudit(null, { action: 'create', resourceType: 'Topper', resourceId: topper._id, after: topper, admin });
+        addResult(job, { row: row.row, file, status: 'created', resourceId: topper._id });
+      } catch (error) {
+        if (asset) await removeStoredImage(asset.url);
+        addResult(job, { row: row.row, file, status: 'failed', error: error.message });
+      }
+
+      await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  console.log(`📦 Topper import ${job._id} ${job.status}: ${job.succeeded} created, ${job.failed} failed`);
+};
+
+// Store the files and queue the import. The spreadsheet is read first so a
+// broken file or mapping is rejected without queuing a job.
+const queueTopperImport = async (files, options, admin) => {
+  const table = await readImportTable(files.sheet, options);
+  if (table.error) return table;
+
+  const job = await queueImportJob({
+    type: 'toppers',
+    files,
+    fileName: files.sheet.originalname,
+    options,
+    admin
+  });
+
+  return { job };
+};
+
+module.exports = {
+  previewTopperImport,
+  processTopperImport,
+  queueTopperImport
+};
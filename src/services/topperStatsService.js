@@ -0,0 +1,114 @@
+const Topper = require('../models/Topper');
+const Course = require('../models/Course');
+
+// Fields the stats can be grouped by
+const GROUP_FIELDS = ['exam', 'year'];
+
+// Ranks are free text such as "AIR 15" or "School Topper"; the first number
+// in them is the comparable rank, and ranks without one are not ranked
+const RANK_NUMBER = {
+  $let: {
+    vars: { found: { $regexFind: { input: { $ifNull: ['$rank', ''] }, regex: /\d+/ } } },
+    in: { $cond: ['$$found', { $toLong: '$$found.match' }, null] }
+  }
+};
+
+const TOPPER_SUMMARY = { _id: '$_id', name: '$name', slug: '$slug', year: '$year', rank: '$rank', score: '$score' };
+
+// Count, best rank and best topper per group of `fields`
+const groupStages = (fields) => [
+  // Unranked toppers sort after every ranked one
+  { $sort: { rankMissing: 1, rankNumber: 1, year: -1 } },
+  {
+    $group: {
+      _id: Object.fromEntries(fields.map(field => [field, `$${field}`])),
+      count: { $sum: 1 },
+      featured: { $sum: { $cond: ['$featured', 1, 0] } },
+      bestRank: { $min: '$rankNumber' },
+      bestTopper: { $first: TOPPER_SUMMARY }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      ...Object.fromEntries(fields.map(field => [field, `$_id.${field}`])),
+      count: 1,
+      featured: 1,
+      bestRank: 1,
+      bestTopper: 1
+    }
+  },
+  { $sort: Object.fromEntries(fields.map(field => [field, field === 'year' ? -1 : 1])) }
+];
+
+// Aggregate statistics for the toppers matching `match`, with `groups`
+// grouped by the requested fields
+const buildTopperStats = async (match, groupBy = GROUP_FIELDS) => {
+  const [stats] = await Topper.aggregate([
+    { $match: match },
+    { $addFields: { rankNumber: RANK_NUMBER } },
+    { $addFields: { rankMissing: { $eq: ['$rankNumber', null] } } },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              exams: { $addToSet: '$exam' },
+              years: { $addToSet: '$year' }
+            }
+          },
+          { $project: { _id: 0, total: 1, exams: { $size: '$exams' }, years: { $size: '$years' } } }
+        ],
+        groups: groupStages(groupBy),
+        bestRankByExam: [
+          { $match: { rankMissing: false } },
+          ...groupStages(['exam'])
+        ],
+        byYear: [
+          { $group: { _id: '$year', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, year: '$_id', count: 1 } }
+        ],
+        // Catalogue courses by id, other courses by name
+        byCourse: [
+          { $group: { _id: { $ifNull: ['$course', '$courseName'] }, count: { $sum: 1 } } },
+          { $lookup: { from: Course.collection.name, localField: '_id', foreignField: '_id', as: 'linked' } },
+          { $addFields: { linked: { $first: '$linked' } } },
+          {
+            $project: {
+              _id: 0,
+              course: {
+                $cond: ['$linked', { _id: '$linked._id', title: '$linked.title', slug: '$linked.slug' }, null]
+              },
+              courseName: { $cond: ['$linked', '$linked.title', '$_id'] },
+              count: 1
+            }
+          },
+          { $sort: { count: -1, courseName: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Year-over-year change against the previous year with results
+  const byYear = stats.byYear.map((entry, index, years) => ({
+    ...entry,
+    change: index > 0 ? entry.count - years[index - 1].count : null
+  }));
+
+  return {
+    summary: stats.summary[0] || { total: 0, exams: 0, years: 0 },
+    groupBy,
+    groups: stats.groups,
+    bestRankByExam: stats.bestRankByExam,
+    byYear: byYear.reverse(),
+    byCourse: stats.byCourse
+  };
+};
+
+module.exports = {
+  GROUP_FIELDS,
+  buildTopperStats
+};